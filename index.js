@@ -11,10 +11,33 @@ import { config as dotenvConfig } from 'dotenv';
 import * as lark from '@larksuiteoapi/node-sdk';
 import { spawn, execSync } from 'child_process';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import http from 'http';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import crypto from 'crypto';
 import screenshot from 'screenshot-desktop';
+import { MODES, isMode, getMode, buildModePrompt, detectWriteAttempt } from './lib/modes.js';
+import { createSessionStore } from './lib/session-store.js';
+import { createStepTracker } from './lib/tool-steps.js';
+import { isGitRepo, snapshotWorkTree, diffSnapshots, revertSnapshot } from './lib/git-snapshot.js';
+import { createWorkspaceRegistry, workspaceSessionKey } from './lib/workspaces.js';
+import { createWorktreeManager } from './lib/worktrees.js';
+import { createPullRequestProvider, openPullRequest } from './lib/pull-requests.js';
+import { createScheduler, nextRunTime } from './lib/scheduler.js';
+import { createApiAuth, sendApiError } from './lib/api-auth.js';
+import { createPathPolicyFromEnv } from './lib/path-policy.js';
+import { createRedactor, parseRedactPatterns } from './lib/redact.js';
+import { splitMarkdown, redactAndSplit } from './lib/paginate.js';
+import { markdownToElements } from './lib/card-markdown.js';
+import { createLogger, formatLogEntry, parseSince, LEVELS } from './lib/logger.js';
+import { createTaskHistory } from './lib/task-history.js';
+import { createMetricsRegistry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './lib/metrics.js';
+import { createHealthChecker, buildReadyResponse, findExecutable, checkDiskSpace, probeMcpServer } from './lib/health.js';
+import { createBackendRegistry, createBackendSelector, cursorBackend, claudeCodeBackend, createAnthropicBackend, createFakeBackend } from './lib/backends/index.js';
+import { loadAccessPolicy, checkPermission, resolveRole, PERMISSIONS, ROLE_NAMES } from './lib/access.js';
 
 // 从脚本所在目录加载 .env（确保 launchd 等场景下也能正确读取）
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -29,11 +52,119 @@ const config = {
   // Cursor CLI 工作目录（可选，默认当前目录）
   workDir: process.env.CURSOR_WORK_DIR || process.cwd(),
   
+  // 默认 Agent 后端：cursor / claude / anthropic / fake（可用 /backend 按聊天或工作区切换）
+  backend: process.env.AGENT_BACKEND || 'cursor',
+  
+  // Anthropic API 后端：API Key、模型、单次回复的最大 token 数
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY || '',
+    model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+    maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 8192,
+  },
+  
+  // 回放后端：录制文件（JSON Lines）和事件间隔（毫秒）
+  fakeBackend: {
+    file: process.env.FAKE_BACKEND_FILE || path.join(__dirname, 'fixtures', 'cursor-stream.jsonl'),
+    intervalMs: parseInt(process.env.FAKE_BACKEND_INTERVAL_MS) || 50,
+  },
+  
+  // 录制目录（可选）：设置后每个任务的后端事件写入 <目录>/<任务ID>.jsonl，可供回放后端使用
+  backendRecordDir: process.env.BACKEND_RECORD_DIR || '',
+  
   // ripgrep 路径（可选，如果已在系统 PATH 中则无需配置）
   ripgrepPath: process.env.RIPGREP_PATH || '',
   
+  // 任务超时时间（毫秒），默认 5 分钟；可按模式单独配置
+  timeout: parseInt(process.env.CURSOR_TIMEOUT) || 300000,
+  modeTimeouts: {
+    agent: parseInt(process.env.CURSOR_TIMEOUT_AGENT) || null,
+    ask: parseInt(process.env.CURSOR_TIMEOUT_ASK) || null,
+    plan: parseInt(process.env.CURSOR_TIMEOUT_PLAN) || null,
+  },
+  
+  // 单个任务的最长运行时间（毫秒），默认 1 小时：/timeout 设置和 /extend 延长都不能超过
+  // （低于上面配置的超时时间时以配置为准）
+  timeoutMax: parseInt(process.env.CURSOR_TIMEOUT_MAX) || 3600000,
+  
+  // 超时前多久发出预警（毫秒），默认 1 分钟
+  timeoutWarning: parseInt(process.env.CURSOR_TIMEOUT_WARNING) || 60000,
+  
+  // 同一话题已有任务时的处理策略：queue（排队）/ reject（拒绝）/ interrupt（中断并替换）
+  queuePolicy: ['queue', 'reject', 'interrupt'].includes(process.env.TASK_QUEUE_POLICY) ? process.env.TASK_QUEUE_POLICY : 'queue',
+  
+  // 每个话题最多排队的任务数
+  queueMaxSize: parseInt(process.env.TASK_QUEUE_MAX) || 10,
+  
+  // 附件收件箱：用户发送的图片/文件下载到工作目录下，路径附加到提示词中
+  inbox: {
+    maxSize: parseInt(process.env.INBOX_MAX_SIZE) || 20 * 1024 * 1024, // 默认 20MB
+    allowedTypes: (process.env.INBOX_ALLOWED_TYPES || '.png,.jpg,.jpeg,.gif,.webp,.bmp,.txt,.log,.md,.json,.csv,.xml,.yaml,.yml,.zip,.tar,.gz,.tgz,.pdf')
+      .split(',').map(ext => ext.trim().toLowerCase()).filter(Boolean),
+    ttl: (parseFloat(process.env.INBOX_TTL_HOURS) || 24) * 60 * 60 * 1000, // 默认 24 小时后清理
+  },
+  
+  // 长回复分页：每页长度、最多发送的页数，以及超过多少字符时附上完整的 .md 文件（0 表示只在超出页数时附加）
+  reply: {
+    pageSize: Math.max(parseInt(process.env.REPLY_PAGE_SIZE) || 20000, 1000), // 最小 1000，过小会产生大量分页
+    maxPages: parseInt(process.env.REPLY_MAX_PAGES) || 5,
+    attachThreshold: parseInt(process.env.REPLY_ATTACH_THRESHOLD) || 0,
+    // 卡片元素数量上限，Markdown 转换后超出时退回为单个 markdown 元素；设为 0 关闭转换
+    cardMaxElements: process.env.CARD_MAX_ELEMENTS !== undefined ? parseInt(process.env.CARD_MAX_ELEMENTS) || 0 : 50,
+  },
+  
   // 本地 API 服务端口（供 Cursor CLI 调用）
   apiPort: parseInt(process.env.API_PORT) || 3456,
+  
+  // API 服务监听地址（CI 等外部系统调用 POST /tasks 时需改为 0.0.0.0）
+  apiHost: process.env.API_HOST || '127.0.0.1',
+  
+  // 工作区所在磁盘的最低可用空间（MB），低于此值时健康检查报告降级
+  diskMinFreeMb: parseInt(process.env.DISK_MIN_FREE_MB) || 1024,
+  
+  // POST /tasks 的访问令牌（逗号分隔可配置多个），未配置时只能用进程密钥调用
+  apiTokens: (process.env.API_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean),
+  
+  // 进程密钥：内部接口（/send-file）的访问令牌，通过 FEISHU_BRIDGE_TOKEN 传给 MCP Server
+  // 默认每次启动随机生成；单独调试 MCP Server 时可固定
+  apiSecret: process.env.BRIDGE_API_SECRET || crypto.randomBytes(24).toString('hex'),
+  
+  // 允许从浏览器调用 API 的来源（逗号分隔），默认不允许任何网页调用
+  apiAllowedOrigins: (process.env.API_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+  
+  // 运行数据目录（会话等持久化数据）
+  dataDir: process.env.BRIDGE_DATA_DIR || path.join(__dirname, 'data'),
+  
+  // 任务历史保留的最大条数
+  taskHistoryLimit: parseInt(process.env.TASK_HISTORY_LIMIT) || 500,
+  
+  // 日志：目录、最低级别（debug/info/warn/error）、单个文件大小上限（MB）、保留的轮转文件数
+  log: {
+    dir: process.env.LOG_DIR || path.join(process.env.BRIDGE_DATA_DIR || path.join(__dirname, 'data'), 'logs'),
+    level: LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+    maxSize: (parseFloat(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+    maxFiles: parseInt(process.env.LOG_MAX_FILES) || 10,
+  },
+  
+  // 工作区配置文件（可选，未配置时只有 CURSOR_WORK_DIR 一个工作区）
+  workspacesFile: process.env.WORKSPACES_FILE || path.join(__dirname, 'workspaces.json'),
+  
+  // Git worktree 隔离：每个话题在独立的 worktree 和分支中执行，工作区可单独配置 isolation
+  worktreeIsolation: process.env.WORKTREE_ISOLATION === 'true',
+  worktreeBranchPrefix: process.env.WORKTREE_BRANCH_PREFIX || 'feishu',
+  
+  // /pr 命令：推送到的远程仓库和创建 PR 的平台（未配置平台时只推送分支）
+  pr: {
+    remote: process.env.PR_REMOTE || 'origin',
+    provider: process.env.PR_PROVIDER || '',
+    apiUrl: process.env.PR_API_URL || '',
+    token: process.env.PR_TOKEN || '',
+    repo: process.env.PR_REPO || '',
+    baseBranch: process.env.PR_BASE_BRANCH || '',
+    branchPrefix: process.env.PR_BRANCH_PREFIX || 'feishu/pr',
+  },
+  
+  // 访问控制规则文件（可选，与 .env 中的 ACCESS_* 规则合并）
+  accessConfigFile: process.env.ACCESS_CONFIG_FILE || path.join(__dirname, 'access.json'),
 };
 
 // 验证必要配置
@@ -42,6 +173,104 @@ if (!config.appId || !config.appSecret) {
   process.exit(1);
 }
 
+// ========== 访问控制 ==========
+let accessPolicy;
+try {
+  accessPolicy = loadAccessPolicy({ configFile: config.accessConfigFile });
+} catch (error) {
+  console.error(`❌ 错误：${error.message}`);
+  process.exit(1);
+}
+
+// ========== 工作区 ==========
+let workspaces;
+try {
+  workspaces = createWorkspaceRegistry({
+    configFile: config.workspacesFile,
+    defaultDir: config.workDir,
+    bindingsFile: path.join(config.dataDir, 'workspace-bindings.json'),
+  });
+} catch (error) {
+  console.error(`❌ 错误：${error.message}`);
+  process.exit(1);
+}
+
+// ========== PR 平台 ==========
+let prProvider;
+try {
+  prProvider = createPullRequestProvider(config.pr);
+} catch (error) {
+  console.error(`❌ 错误：${error.message}`);
+  process.exit(1);
+}
+
+// ========== Git worktree 隔离 ==========
+const worktrees = createWorktreeManager({
+  rootDir: path.join(config.dataDir, 'worktrees'),
+  stateFile: path.join(config.dataDir, 'worktrees.json'),
+  branchPrefix: config.worktreeBranchPrefix,
+});
+
+// 工作区是否启用 worktree 隔离（工作区配置优先于全局开关）
+function usesWorktree(workspace) {
+  return workspace.isolation ? workspace.isolation === 'worktree' : config.worktreeIsolation;
+}
+
+// 话题当前的工作目录：已创建 worktree 时为 worktree，否则为工作区路径
+function getThreadWorkDir(workspace, sessionKey) {
+  return (usesWorktree(workspace) && worktrees.get(sessionKey)?.path) || workspace.path;
+}
+
+// 执行任务前准备工作目录：启用隔离时首次使用会创建 worktree
+async function prepareThreadWorkDir(workspace, sessionKey) {
+  if (!usesWorktree(workspace)) return workspace.path;
+  return (await worktrees.ensure(sessionKey, workspace.path)).path;
+}
+
+// ========== Agent 后端 ==========
+let backends;
+try {
+  backends = createBackendRegistry([
+    cursorBackend,
+    claudeCodeBackend,
+    createAnthropicBackend({ ...config.anthropic, sessionDir: path.join(config.dataDir, 'anthropic-sessions') }),
+    createFakeBackend(config.fakeBackend),
+  ], config.backend);
+} catch (error) {
+  console.error(`❌ 错误：${error.message}`);
+  process.exit(1);
+}
+
+// /backend 为聊天或工作区指定的后端
+const backendChoices = createBackendSelector({ file: path.join(config.dataDir, 'backend-choices.json') });
+
+// 任务使用的后端：聊天指定 > 工作区指定（/backend --ws）> 工作区配置 > AGENT_BACKEND
+function resolveBackend(chatId, workspace) {
+  const name = backendChoices.getChat(chatId)
+    || (workspace && (backendChoices.getWorkspace(workspace.name) || workspace.backend))
+    || config.backend;
+  return backends.get(name);
+}
+
+// ========== 文件路径策略 ==========
+// /file、/send-file 和 MCP 工具只能访问工作目录（及 PATH_ALLOWED_ROOTS）中的非敏感文件
+const pathPolicy = createPathPolicyFromEnv();
+
+// ========== 敏感信息脱敏 ==========
+// 发回飞书的消息和卡片会隐藏 .env 中的密钥、常见令牌格式和 REDACT_PATTERNS 中的自定义规则
+let redactor;
+try {
+  redactor = createRedactor({
+    envFiles: [path.join(__dirname, '.env'), ...workspaces.list().map(w => path.join(w.path, '.env'))],
+    values: [config.appSecret, config.apiSecret, config.pr.token, config.anthropic.apiKey, ...config.apiTokens],
+    patterns: parseRedactPatterns(process.env.REDACT_PATTERNS),
+    extraKeys: (process.env.REDACT_ENV_KEYS || '').split(',').map(k => k.trim()).filter(Boolean),
+  });
+} catch (error) {
+  console.error(`❌ 错误：${error.message}`);
+  process.exit(1);
+}
+
 // 如果配置了 ripgrep 路径，添加到 PATH
 if (config.ripgrepPath) {
   process.env.PATH = `${config.ripgrepPath};${process.env.PATH}`;
@@ -55,36 +284,57 @@ const SERVICE_START_TIME = Date.now();
 // 用于群聊中判断是否 @ 了机器人（而不是 @ 了其他人）
 let botOpenId = null;
 
-// ========== 日志文件配置 ==========
-const LOG_FILE = path.join(config.workDir, 'cursor-bridge.log');
+// ========== 飞书长连接客户端 ==========
+let wsClient = null;
 
-// 重写 console.log 和 console.error，同时写入文件
-const originalLog = console.log;
-const originalError = console.error;
+// 长连接状态：SDK 未提供连接回调，通过传给 SDK 的 logger 识别连接、断开和重连日志
+const wsState = { connected: false, changedAt: null, lastError: null };
 
-function writeLog(level, ...args) {
-  const timestamp = new Date().toLocaleString();
-  const message = args.map(arg => 
-    typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-  ).join(' ');
-  const logLine = `[${timestamp}] [${level}] ${message}\n`;
-  
-  try {
-    fs.appendFileSync(LOG_FILE, logLine);
-  } catch (e) {
-    // 忽略写入错误
+function setWsConnected(connected, error = null) {
+  if (wsState.connected !== connected) {
+    wsState.changedAt = Date.now();
   }
+  wsState.connected = connected;
+  if (error) wsState.lastError = error;
 }
 
-console.log = (...args) => {
-  originalLog(...args);
-  writeLog('INFO', ...args);
-};
+// SDK 日志转发到 console（写入结构化日志），同时更新长连接状态
+function createWsLogger() {
+  const forward = (level, msg) => {
+    const text = msg.map(part => (typeof part === 'string' ? part : JSON.stringify(part))).join(' ');
+    // 「ws client ready」在首次连接失败转入重连时也会输出，不作为已连接的依据
+    if (/ws connect success|reconnect success/.test(text)) {
+      setWsConnected(true);
+    } else if (/ws connect failed|connect failed|unable to connect|\breconnect$/.test(text)) {
+      setWsConnected(false, text);
+    }
+    console[level]('[飞书 SDK]', text);
+  };
+  return {
+    error: msg => forward('error', msg),
+    warn: msg => forward('warn', msg),
+    info: msg => forward('info', msg),
+    debug: msg => forward('debug', msg),
+    trace: msg => forward('debug', msg),
+  };
+}
 
-console.error = (...args) => {
-  originalError(...args);
-  writeLog('ERROR', ...args);
-};
+// ========== 日志 ==========
+// 重写 console 方法，按级别输出到控制台并以 JSON 行写入日志目录
+// 任务和消息处理过程中的日志会自动带上 taskId / threadKey / messageId
+const logger = createLogger({
+  dir: config.log.dir,
+  level: config.log.level,
+  maxSize: config.log.maxSize,
+  maxFiles: config.log.maxFiles,
+  output: { info: console.log, error: console.error },
+});
+
+console.debug = (...args) => logger.debug(...args);
+console.log = (...args) => logger.info(...args);
+console.info = (...args) => logger.info(...args);
+console.warn = (...args) => logger.warn(...args);
+console.error = (...args) => logger.error(...args);
 
 // ========== 全局异常捕获 ==========
 process.on('uncaughtException', (err) => {
@@ -101,48 +351,62 @@ const MESSAGE_CACHE_TTL = 5 * 60 * 1000; // 缓存 5 分钟
 
 // ========== 活跃任务管理 ==========
 // 用于跟踪和管理当前正在执行的任务，支持 stop 命令
-const activeTasks = new Map(); // chatId -> { child, prompt, startTime }
+const activeTasks = new Map(); // threadKey -> { run, backend, prompt, startTime, watchdog, taskId }
+
+// ========== 最近任务 ==========
+// 供卡片按钮（重试、继续、发送文件等）找回任务信息
+const recentTasks = new Map(); // taskId -> task
+const RECENT_TASKS_LIMIT = 200;
+
+function rememberTask(task) {
+  recentTasks.set(task.id, task);
+  // Map 按插入顺序迭代，超出上限时删除最早的任务
+  while (recentTasks.size > RECENT_TASKS_LIMIT) {
+    recentTasks.delete(recentTasks.keys().next().value);
+  }
+}
 
-// ========== 当前活跃的 chatId ==========
-// 用于 HTTP API 接口知道文件发送给哪个聊天
-let currentActiveChatId = null;
+// ========== 任务队列 ==========
+// 同一话题同一时间只运行一个任务，其余按策略排队
+const busyThreads = new Set(); // 正在执行任务（含准备阶段）的 threadKey
+const taskQueues = new Map(); // threadKey -> [task, ...]
+
+// ========== 任务超时配置 ==========
+// 按聊天覆盖的超时时间（通过 /timeout 命令设置）
+const chatTimeouts = new Map(); // chatId -> timeoutMs
+
+// 获取任务超时时间：聊天覆盖 > 模式配置 > 全局配置
+function getTaskTimeout(mode, chatId) {
+  return chatTimeouts.get(chatId) || config.modeTimeouts[mode] || config.timeout;
+}
+
+// ========== 任务路由 ==========
+// 每个 agent 进程分配一个任务令牌（通过环境变量 FEISHU_TASK_TOKEN 传给 MCP Server），
+// HTTP API 根据令牌找到触发任务的聊天、话题和回复目标
+const taskRoutes = new Map(); // taskToken -> { chatId, threadKey, replyToMessageId }
 
 // ========== 会话管理 ==========
-// 用于保持多轮对话的上下文
-const chatSessions = new Map(); // chatId -> { conversationId, lastActiveTime }
+// 用于保持多轮对话的上下文，持久化到数据目录，服务重启后仍可继续对话
 const SESSION_TTL = 10 * 60 * 60 * 1000; // 会话超时时间：10 小时
+const sessionStore = createSessionStore({
+  file: path.join(config.dataDir, 'sessions.json'),
+  ttl: SESSION_TTL,
+}); // chatId -> { conversationId, lastActiveTime, createdAt, creator, mode, turns }
 
-// 获取或创建会话
+// 获取会话（超时自动清除）
 function getSession(chatId) {
-  const session = chatSessions.get(chatId);
-  if (session) {
-    // 检查是否超时
-    if (Date.now() - session.lastActiveTime > SESSION_TTL) {
-      console.log(`[会话] 会话超时，清除: ${chatId}`);
-      chatSessions.delete(chatId);
-      return null;
-    }
-    // 更新活跃时间
-    session.lastActiveTime = Date.now();
-    return session;
-  }
-  return null;
-}
-
-// 保存会话
-function saveSession(chatId, conversationId) {
-  chatSessions.set(chatId, {
-    conversationId,
-    lastActiveTime: Date.now(),
-  });
-  console.log(`[会话] 保存会话: chatId=${chatId}, conversationId=${conversationId}`);
+  return sessionStore.get(chatId);
+}
+
+// 保存会话（meta: { creator, mode }，同一对话自动累加轮数）
+function saveSession(chatId, conversationId, meta = {}) {
+  const session = sessionStore.save(chatId, conversationId, meta);
+  console.log(`[会话] 保存会话: chatId=${chatId}, conversationId=${conversationId}, 第 ${session.turns} 轮`);
 }
 
 // 清除会话
 function clearSession(chatId) {
-  const session = chatSessions.get(chatId);
-  if (session) {
-    chatSessions.delete(chatId);
+  if (sessionStore.delete(chatId)) {
     console.log(`[会话] 清除会话: ${chatId}`);
     return true;
   }
@@ -151,15 +415,78 @@ function clearSession(chatId) {
 
 // 定期清理过期会话
 setInterval(() => {
-  const now = Date.now();
-  for (const [chatId, session] of chatSessions.entries()) {
-    if (now - session.lastActiveTime > SESSION_TTL) {
-      chatSessions.delete(chatId);
-      console.log(`[会话] 自动清理过期会话: ${chatId}`);
-    }
+  for (const chatId of sessionStore.prune()) {
+    console.log(`[会话] 自动清理过期会话: ${chatId}`);
   }
 }, 5 * 60 * 1000); // 每 5 分钟检查一次
 
+// ========== 任务历史 ==========
+// 记录每次 Agent 后端调用，供 /history、/show、/rerun 使用
+const taskHistory = createTaskHistory({
+  file: path.join(config.dataDir, 'task-history.json'),
+  limit: config.taskHistoryLimit,
+});
+
+// 历史延迟写盘，停止服务时先写完再退出
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    taskHistory.flush().finally(() => process.exit(0));
+  });
+}
+
+// ========== 运行指标 ==========
+// 通过 GET /metrics 以 Prometheus 文本格式输出
+const metricsRegistry = createMetricsRegistry({ prefix: 'cursor_bridge_' });
+const metrics = {
+  tasks: metricsRegistry.counter('tasks_total', '按模式和结果统计的任务数', ['mode', 'outcome']),
+  taskDuration: metricsRegistry.histogram('task_duration_seconds', '任务执行耗时（秒）', [5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600], ['mode', 'outcome']),
+  feishuApiDuration: metricsRegistry.histogram('feishu_api_duration_seconds', '飞书 API 调用耗时（秒）', [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], ['operation']),
+  feishuApiErrors: metricsRegistry.counter('feishu_api_errors_total', '飞书 API 调用失败次数', ['operation']),
+  streamRequests: metricsRegistry.counter('stream_update_requests_total', '流式输出触发的卡片更新请求数'),
+  streamUpdates: metricsRegistry.counter('stream_updates_total', '节流后实际发出的流式卡片更新数'),
+  streamCoalesced: metricsRegistry.counter('stream_updates_coalesced_total', '因节流被合并（未单独发出）的更新请求数'),
+};
+metricsRegistry.gauge('active_tasks', '正在执行的任务数', () => activeTasks.size);
+metricsRegistry.gauge('queued_tasks', '排队中的任务数', () => [...taskQueues.values()].reduce((sum, queue) => sum + queue.length, 0));
+metricsRegistry.gauge('sessions', '活跃会话数', () => sessionStore.size);
+metricsRegistry.gauge('start_time_seconds', '服务启动时间（Unix 秒）', () => Math.floor(SERVICE_START_TIME / 1000));
+
+// 记录任务结果（完成、终止、超时、失败、拒绝、取消）
+function recordTaskMetrics(task) {
+  const labels = { mode: task.mode, outcome: task.status || 'unknown' };
+  metrics.tasks.inc(labels);
+  if (task.startTime && task.finishedAt) {
+    metrics.taskDuration.observe(labels, (task.finishedAt - task.startTime) / 1000);
+  }
+}
+
+// 记录飞书 API 调用耗时和失败次数（operation: send_message / send_card / update_card / upload_file）
+async function trackFeishuCall(operation, call) {
+  const stopTimer = metrics.feishuApiDuration.startTimer({ operation });
+  try {
+    const resp = await call();
+    // SDK 对业务错误返回非 0 的 code 而不抛异常
+    if (resp?.code) {
+      metrics.feishuApiErrors.inc({ operation });
+    }
+    return resp;
+  } catch (error) {
+    metrics.feishuApiErrors.inc({ operation });
+    throw error;
+  } finally {
+    stopTimer();
+  }
+}
+
+const HISTORY_STATUS = {
+  running: '▶️ 执行中',
+  succeeded: '✅ 完成',
+  stopped: '⏹️ 已终止',
+  timeout: '⏰ 超时',
+  failed: '❌ 失败',
+  interrupted: '⚠️ 服务重启中断',
+};
+
 function isMessageProcessed(messageId) {
   if (processedMessages.has(messageId)) {
     console.log(`[去重] 消息已处理过，跳过: ${messageId}`);
@@ -182,16 +509,22 @@ const client = new lark.Client({
   disableTokenCache: false,
 });
 
+// ========== 获取 tenant_access_token ==========
+// 返回接口的原始响应（成功时包含 tenant_access_token 和 expire）
+async function requestTenantToken() {
+  const tokenResp = await fetch('https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ app_id: config.appId, app_secret: config.appSecret }),
+  });
+  return tokenResp.json();
+}
+
 // ========== 获取机器人自身信息 ==========
 async function fetchBotInfo() {
   try {
     // 先获取 tenant_access_token
-    const tokenResp = await fetch('https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ app_id: config.appId, app_secret: config.appSecret }),
-    });
-    const tokenData = await tokenResp.json();
+    const tokenData = await requestTenantToken();
     const token = tokenData.tenant_access_token;
     
     if (!token) {
@@ -217,64 +550,126 @@ async function fetchBotInfo() {
   }
 }
 
-// ========== 调用 Cursor CLI（支持流式回调） ==========
-async function callCursorCLI(prompt, mode = 'agent', chatId = null, onStream = null) {
-  console.log(`[Cursor CLI] 执行任务: ${prompt.substring(0, 50)}...`);
-  console.log(`[Cursor CLI] 模式: ${mode}`);
-  console.log(`[Cursor CLI] 工作目录: ${config.workDir}`);
+// ========== 任务看门狗 ==========
+// 到期前调用 onWarning 发出预警，到期调用 onExpire；支持延长期限（最多延长到启动后 maxMs）
+function createWatchdog(timeoutMs, { maxMs = timeoutMs, onWarning, onExpire }) {
+  let deadline = Date.now() + timeoutMs;
+  const maxDeadline = Date.now() + Math.max(maxMs, timeoutMs);
+  let warnTimer = null;
+  let expireTimer = null;
   
-  // 获取现有会话（如果有）
-  const existingSession = chatId ? getSession(chatId) : null;
-  const conversationId = existingSession?.conversationId;
+  const schedule = () => {
+    clearTimeout(warnTimer);
+    clearTimeout(expireTimer);
+    const remain = deadline - Date.now();
+    // 预警时间不超过总时长的一半，避免刚启动就预警
+    const warnBefore = Math.min(config.timeoutWarning, Math.floor(timeoutMs / 2));
+    if (onWarning && remain > warnBefore) {
+      warnTimer = setTimeout(() => onWarning(deadline - Date.now()), remain - warnBefore);
+    }
+    expireTimer = setTimeout(onExpire, remain);
+  };
+  
+  schedule();
+  
+  return {
+    get deadline() {
+      return deadline;
+    },
+    // 是否已达到最长运行时间，不能再延长
+    get atLimit() {
+      return deadline >= maxDeadline;
+    },
+    // 从当前期限（已过期则从现在）起延长 ms 毫秒，不超过最长运行时间
+    extend(ms) {
+      deadline = Math.min(Math.max(deadline, Date.now()) + ms, maxDeadline);
+      schedule();
+      return deadline;
+    },
+    clear() {
+      clearTimeout(warnTimer);
+      clearTimeout(expireTimer);
+    },
+  };
+}
+
+// ========== 调用 Agent 后端（支持流式回调） ==========
+// options.backend: 使用的后端（默认 AGENT_BACKEND）
+// options.timeoutMs: 超时时间；options.onTimeoutWarning: 超时预警回调（参数为剩余毫秒数）
+// options.route: { chatId, replyToMessageId }，供 /send-file 把文件回复到触发任务的聊天
+// options.senderId: 发起者 open_id，记录到会话元数据
+// options.taskId: 任务 ID，供卡片按钮定位正在运行的任务
+// options.stepTracker: 步骤跟踪器，解析 tool_call 事件，步骤变化时同样触发流式回调
+// options.cwd / options.env: 工作区路径和额外环境变量；options.sessionKey: 会话 key（按工作区隔离）
+async function callAgentBackend(prompt, mode = 'agent', chatId = null, onStream = null, options = {}) {
+  const backend = options.backend || backends.get(config.backend);
+  console.log(`[${backend.label}] 执行任务: ${prompt.substring(0, 50)}...`);
+  console.log(`[${backend.label}] 模式: ${mode}`);
+  const cwd = options.cwd || config.workDir;
+  console.log(`[${backend.label}] 工作目录: ${cwd}`);
   
-  // 构建命令参数
-  const args = ['-p', '--force', '--output-format', 'stream-json', '--stream-partial-output', '--approve-mcps'];
+  const modeDef = getMode(mode);
+  
+  // 获取现有会话（如果有）；会话属于创建它的后端，切换后端后开始新会话
+  const sessionKey = options.sessionKey || chatId;
+  const existingSession = sessionKey ? getSession(sessionKey) : null;
+  const conversationId = existingSession && (existingSession.backend || 'cursor') === backend.name
+    ? existingSession.conversationId
+    : null;
+  const sessionMeta = { creator: options.senderId || null, mode, backend: backend.name };
   
-  // 如果有现有会话，使用 --resume 参数继续对话
   if (conversationId) {
-    args.push('--resume', conversationId);
-    console.log(`[Cursor CLI] 继续会话: ${conversationId}`);
+    console.log(`[${backend.label}] 继续会话: ${conversationId}`);
   } else {
-    console.log(`[Cursor CLI] 开始新会话`);
+    console.log(`[${backend.label}] 开始新会话`);
   }
   
-  console.log(`[Cursor CLI] 命令: agent ${args.join(' ')}`);
-  
   // 清除可能导致问题的环境变量
-  const cleanEnv = { ...process.env };
+  const cleanEnv = { ...process.env, ...options.env };
   delete cleanEnv.CURSOR_CLI;
   delete cleanEnv.CURSOR_AGENT;
   
+  // 任务令牌：MCP Server 继承 agent 的环境变量，调用 /send-file 时带回
+  const taskToken = crypto.randomUUID();
+  cleanEnv.FEISHU_TASK_TOKEN = taskToken;
+  cleanEnv.FEISHU_BRIDGE_TOKEN = config.apiSecret;
+  // MCP Server 按该目录解析相对路径并限制可访问范围
+  cleanEnv.FEISHU_WORK_DIR = cwd;
+  if (options.route) {
+    taskRoutes.set(taskToken, { ...options.route, threadKey: chatId, workDir: cwd, taskId: options.taskId || null });
+  }
+  
+  // 记录任务历史（退出码、会话 ID 在运行结束时补充，结果由调用方更新）
+  const historyId = options.taskId || crypto.randomUUID();
+  taskHistory.start({
+    id: historyId,
+    prompt,
+    mode,
+    backend: backend.name,
+    threadKey: chatId,
+    chatId: options.route?.chatId || null,
+    senderId: options.senderId || null,
+    workspace: options.workspace || null,
+    cwd,
+  });
+  
+  // 录制事件流（可作为回放后端的输入）
+  let recorder = null;
+  if (config.backendRecordDir) {
+    fs.mkdirSync(config.backendRecordDir, { recursive: true });
+    recorder = fs.createWriteStream(path.join(config.backendRecordDir, `${historyId}.jsonl`), { flags: 'a' });
+    recorder.on('error', error => console.error(`[录制] 写入失败: ${error.message}`));
+  }
+  
   return new Promise((resolve, reject) => {
-    // 显式指定 shell：Windows 用 cmd.exe，避免 Node.js 回退到 /bin/sh
-    const shellOption = process.platform === 'win32' ? process.env.ComSpec || 'cmd.exe' : true;
-    const child = spawn('agent', args, {
-      cwd: config.workDir,
-      env: cleanEnv,
-      shell: shellOption,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    
-    // 注册活跃任务（用于 stop 命令）
-    if (chatId) {
-      activeTasks.set(chatId, {
-        child,
-        prompt: prompt.substring(0, 50),
-        startTime: Date.now(),
-      });
-    }
-    
-    // 清理任务的辅助函数
-    const cleanupTask = () => {
-      if (chatId) {
-        activeTasks.delete(chatId);
-      }
-    };
+    const startTime = Date.now();
+    let run = null;
     
     let result = '';
     let accumulatedText = ''; // 累积所有流式 delta 片段
     let newConversationId = null;
-    let wasKilled = false;
+    let blockedWrite = null; // 只读模式下被拦截的操作：{ type: 'file' | 'shell', target }
+    let resultError = null; // 后端在 result 事件中报告的错误（is_error）
     
     // 流式更新节流：最快 1.5 秒更新一次卡片
     let lastStreamTime = 0;
@@ -284,6 +679,7 @@ async function callCursorCLI(prompt, mode = 'agent', chatId = null, onStream = n
     
     const flushStream = (text) => {
       if (onStream && text) {
+        metrics.streamUpdates.inc();
         // 链式执行，确保上一次更新完成后再发下一次
         streamUpdatePromise = streamUpdatePromise
           .then(() => onStream(text))
@@ -294,84 +690,187 @@ async function callCursorCLI(prompt, mode = 'agent', chatId = null, onStream = n
     
     const throttledStream = (text) => {
       if (!onStream || !text) return;
+      metrics.streamRequests.inc();
       const now = Date.now();
-      // 清除上一个定时器
-      if (streamTimer) clearTimeout(streamTimer);
+      // 清除上一个定时器（尚未发出的更新被本次合并）
+      if (streamTimer) {
+        clearTimeout(streamTimer);
+        streamTimer = null;
+        metrics.streamCoalesced.inc();
+      }
       if (now - lastStreamTime >= STREAM_INTERVAL) {
         // 距离上次更新已超过间隔，立即更新
         flushStream(text);
       } else {
         // 还没到间隔，延迟更新（确保最后一次内容也能送达）
-        streamTimer = setTimeout(() => flushStream(text), STREAM_INTERVAL - (now - lastStreamTime));
+        streamTimer = setTimeout(() => {
+          streamTimer = null;
+          flushStream(text);
+        }, STREAM_INTERVAL - (now - lastStreamTime));
       }
     };
     
-    child.stdout.on('data', (data) => {
-      const text = data.toString();
-      console.log(`[Cursor CLI 输出] ${text.substring(0, 200)}`);
+    // 处理后端事件（格式与 Cursor CLI 的 stream-json 相同）
+    const handleEvent = (json) => {
+      recorder?.write(`${JSON.stringify(json)}\n`);
       
-      // 解析每一行 JSON
-      const lines = text.split('\n').filter(line => line.trim());
-      for (const line of lines) {
-        try {
-          const json = JSON.parse(line);
-          
-          // 获取会话 ID（用于后续 --resume）
-          if (json.conversation_id) {
-            newConversationId = json.conversation_id;
-            console.log(`[Cursor CLI] 获取到会话ID: ${newConversationId}`);
-          }
-          
-          // 备用：从其他字段获取会话 ID
-          if (!newConversationId && json.session_id) {
-            newConversationId = json.session_id;
-          }
-          
-          // 获取最终结果
-          if (json.type === 'result' && json.result) {
-            result = json.result;
-            console.log(`[Cursor CLI] 获取到结果: ${result.substring(0, 100)}...`);
-          }
-          
-          // 获取助手消息 + 触发流式回调
-          if (json.type === 'assistant' && json.message?.content?.[0]?.text) {
-            const chunkText = json.message.content[0].text;
-            if (json.timestamp_ms) {
-              // 有 timestamp_ms 的是增量 delta 片段，需要累加
-              accumulatedText += chunkText;
-            } else {
-              // 没有 timestamp_ms 的是最终完整文本，直接使用
-              accumulatedText = chunkText;
-            }
-            throttledStream(accumulatedText);
-          }
-        } catch (e) {
-          // 忽略非 JSON 行
+      // 获取会话 ID（用于后续继续对话）
+      if (json.conversation_id) {
+        newConversationId = json.conversation_id;
+        console.log(`[${backend.label}] 获取到会话ID: ${newConversationId}`);
+      }
+      
+      // 备用：从其他字段获取会话 ID
+      if (!newConversationId && json.session_id) {
+        newConversationId = json.session_id;
+      }
+      
+      // 工具调用步骤（读文件、改文件、执行命令等），有变化时刷新卡片
+      if (options.stepTracker?.handle(json)) {
+        throttledStream(accumulatedText || '执行中...');
+      }
+      
+      // 只读守卫：只读模式下出现写文件操作，立即终止任务
+      if (!modeDef.writable && !blockedWrite) {
+        const attempt = detectWriteAttempt(json);
+        if (attempt) {
+          blockedWrite = attempt;
+          console.error(`[只读守卫] ${modeDef.label}模式拒绝${attempt.type === 'shell' ? '执行命令' : '修改文件'}: ${attempt.target}，终止任务`);
+          run?.stop();
         }
       }
-    });
+      
+      // 获取最终结果；is_error 的结果是错误信息，不作为回复
+      if (json.type === 'result' && json.is_error) {
+        resultError = json.result || json.subtype || '未知错误';
+        console.error(`[${backend.label}] 运行失败: ${resultError.substring(0, 200)}`);
+      } else if (json.type === 'result' && json.result) {
+        result = json.result;
+        console.log(`[${backend.label}] 获取到结果: ${result.substring(0, 100)}...`);
+      }
+      
+      // 获取助手消息 + 触发流式回调
+      if (json.type === 'assistant' && json.message?.content?.[0]?.text) {
+        const chunkText = json.message.content[0].text;
+        if (json.timestamp_ms) {
+          // 有 timestamp_ms 的是增量 delta 片段，需要累加
+          accumulatedText += chunkText;
+        } else {
+          // 没有 timestamp_ms 的是最终完整文本，直接使用
+          accumulatedText = chunkText;
+        }
+        throttledStream(accumulatedText);
+      }
+    };
+    
+    // 清理任务的辅助函数
+    let watchdog = null;
+    const cleanupTask = () => {
+      watchdog?.clear();
+      taskRoutes.delete(taskToken);
+      recorder?.end();
+      if (chatId) {
+        activeTasks.delete(chatId);
+      }
+    };
+    
+    const onError = (err) => {
+      console.log(`[${backend.label}] 错误: ${err.message}`);
+      cleanupTask();
+      taskHistory.update(historyId, { status: 'failed', error: err.message, finishedAt: Date.now() });
+      if (streamTimer) clearTimeout(streamTimer);
+      reject(err);
+    };
+    
+    // 启动后端（提示词附带模式前言）
+    try {
+      run = backend.start({
+        prompt: buildModePrompt(mode, prompt),
+        mode: modeDef,
+        cwd,
+        env: cleanEnv,
+        resumeId: conversationId,
+        onEvent: handleEvent,
+        onStderr: text => logger.warn(`[${backend.label} 错误] ${text}`),
+        log: logger,
+      });
+    } catch (err) {
+      onError(err);
+      return;
+    }
     
-    child.stderr.on('data', (data) => {
-      console.log(`[Cursor CLI 错误] ${data.toString()}`);
+    // 看门狗：超时后走与 stop 命令相同的终止路径
+    const timeoutMs = options.timeoutMs || config.timeout;
+    watchdog = createWatchdog(timeoutMs, {
+      maxMs: config.timeoutMax,
+      onWarning: options.onTimeoutWarning,
+      onExpire: () => {
+        console.error(`[看门狗] 任务超时（${Math.round(timeoutMs / 1000)} 秒），终止任务`);
+        terminateRun(run, 'timeout');
+      },
     });
     
-    child.on('close', async (code) => {
-      console.log(`[Cursor CLI] 退出码: ${code}`);
+    // 注册活跃任务（用于 stop 命令）
+    if (chatId) {
+      activeTasks.set(chatId, {
+        run,
+        backend: backend.name,
+        prompt: prompt.substring(0, 50),
+        startTime,
+        watchdog,
+        taskId: options.taskId || null,
+      });
+    }
+    
+    run.done.then(async (code) => {
+      console.log(`[${backend.label}] 退出码: ${code}`);
       cleanupTask();
+      taskHistory.update(historyId, { exitCode: code, conversationId: newConversationId || conversationId || null, finishedAt: Date.now() });
       if (streamTimer) clearTimeout(streamTimer);
       
       // 等待所有流式更新完成，避免和最终更新竞争
       try { await streamUpdatePromise; } catch(e) {}
       
       // 如果是被用户手动终止的
-      if (wasKilled) {
-        reject(new Error('STOPPED_BY_USER'));
+      if (run.killReason === 'user') {
+        const error = new Error('STOPPED_BY_USER');
+        error.partialText = result || accumulatedText;
+        reject(error);
+        return;
+      }
+      
+      // 如果是超时终止的：保留会话和已输出的部分内容
+      if (run.killReason === 'timeout') {
+        if (sessionKey && newConversationId) {
+          saveSession(sessionKey, newConversationId, sessionMeta);
+        }
+        const error = new Error('TASK_TIMEOUT');
+        error.partialText = result || accumulatedText;
+        error.elapsedMs = Date.now() - startTime;
+        reject(error);
+        return;
+      }
+      
+      // 如果是只读守卫终止的
+      if (blockedWrite) {
+        const error = new Error('READONLY_VIOLATION');
+        error.attempt = blockedWrite;
+        reject(error);
+        return;
+      }
+      
+      // 后端报告运行失败：保留会话，按失败处理（卡片显示重试按钮）
+      if (resultError) {
+        if (sessionKey && newConversationId) {
+          saveSession(sessionKey, newConversationId, sessionMeta);
+        }
+        reject(new Error(`${backend.label} 运行失败：${resultError}`));
         return;
       }
       
       // 保存会话 ID（用于后续继续对话）
-      if (chatId && newConversationId) {
-        saveSession(chatId, newConversationId);
+      if (sessionKey && newConversationId) {
+        saveSession(sessionKey, newConversationId, sessionMeta);
       }
       
       // 优先使用 result，否则使用累积的文本
@@ -384,64 +883,45 @@ async function callCursorCLI(prompt, mode = 'agent', chatId = null, onStream = n
       } else {
         reject(new Error(`命令退出码: ${code}`));
       }
-    });
-    
-    child.on('error', (err) => {
-      console.log(`[Cursor CLI] 错误: ${err.message}`);
-      cleanupTask();
-      if (streamTimer) clearTimeout(streamTimer);
-      reject(err);
-    });
-    
-    // 标记进程可被外部终止
-    child.markAsKilled = () => {
-      wasKilled = true;
-    };
-    
-    // 通过 stdin 发送提示词
-    child.stdin.write(prompt);
-    child.stdin.end();
-    
+    }, onError);
   });
 }
 
 // ========== 读取日志文件 ==========
-function readLogFile(lines = 10) {
+// filter: { limit, level, taskId, grep, since }，从最新日志向前查找
+function readLogFile(filter = {}) {
   try {
-    if (!fs.existsSync(LOG_FILE)) {
-      return '日志文件不存在';
-    }
-    
-    const content = fs.readFileSync(LOG_FILE, 'utf-8');
-    const allLines = content.split('\n').filter(line => line.trim());
-    
-    // 获取最后 N 行
-    const lastLines = allLines.slice(-lines);
-    
-    if (lastLines.length === 0) {
-      return '日志为空';
+    const entries = logger.query(filter);
+    if (entries.length === 0) {
+      return '没有匹配的日志';
     }
     
-    return `📋 最近 ${lastLines.length} 行日志：\n\n${lastLines.join('\n')}`;
+    const conditions = [
+      filter.level && `级别 ≥ ${filter.level}`,
+      filter.taskId && `任务 ${filter.taskId}`,
+      filter.grep && `包含「${filter.grep}」`,
+      filter.since && `${new Date(filter.since).toLocaleString()} 之后`,
+    ].filter(Boolean);
+    const header = conditions.length > 0 ? `（${conditions.join('，')}）` : '';
+    return `📋 最近 ${entries.length} 条日志${header}：\n\n${entries.map(formatLogEntry).join('\n')}`;
   } catch (error) {
     return `读取日志失败：${error.message}`;
   }
 }
 
+// 标记终止原因并停止后端运行（stop 命令和看门狗共用）
+function terminateRun(run, reason) {
+  run.killReason = reason;
+  run.stop();
+}
+
 // ========== 停止当前任务 ==========
 function stopTask(chatId) {
   const task = activeTasks.get(chatId);
   if (task) {
     console.log(`[Stop] 终止任务: ${task.prompt}...`);
-    task.child.markAsKilled?.();
-    task.child.kill('SIGTERM');
-    
-    // 如果 SIGTERM 不起作用，强制 SIGKILL
-    setTimeout(() => {
-      if (!task.child.killed) {
-        task.child.kill('SIGKILL');
-      }
-    }, 1000);
+    terminateRun(task.run, 'user');
+    task.watchdog?.clear();
     
     activeTasks.delete(chatId);
     const duration = Math.round((Date.now() - task.startTime) / 1000);
@@ -451,31 +931,37 @@ function stopTask(chatId) {
 }
 
 // ========== 从富文本(post)消息中提取纯文本 ==========
-function extractTextFromPost(content) {
-  try {
-    // 飞书 post 消息结构：
-    // { "title": "可选标题", "content": [[{tag:"text", text:"..."}, {tag:"at", user_name:"xxx"}, ...], [...]] }
-    // 可能嵌套在语言 key 下：{ "zh_cn": { "title": ..., "content": ... } }
-    let postBody = content;
-    
-    // 处理多语言包装：{ zh_cn: { title, content } } 或 { en_us: { title, content } }
-    if (!postBody.content && !postBody.title) {
-      // 尝试获取第一个语言版本
-      const langKeys = ['zh_cn', 'en_us', 'ja_jp'];
-      for (const key of langKeys) {
-        if (postBody[key]) {
-          postBody = postBody[key];
-          break;
-        }
+// 飞书 post 消息结构：
+// { "title": "可选标题", "content": [[{tag:"text", text:"..."}, {tag:"at", user_name:"xxx"}, ...], [...]] }
+// 可能嵌套在语言 key 下：{ "zh_cn": { "title": ..., "content": ... } }
+function unwrapPostBody(content) {
+  let postBody = content;
+  
+  // 处理多语言包装：{ zh_cn: { title, content } } 或 { en_us: { title, content } }
+  if (!postBody.content && !postBody.title) {
+    // 尝试获取第一个语言版本
+    const langKeys = ['zh_cn', 'en_us', 'ja_jp'];
+    for (const key of langKeys) {
+      if (postBody[key]) {
+        postBody = postBody[key];
+        break;
       }
-      // 如果仍然没有，取第一个可用的 key
-      if (!postBody.content) {
-        const firstKey = Object.keys(content).find(k => content[k]?.content);
-        if (firstKey) {
-          postBody = content[firstKey];
-        }
+    }
+    // 如果仍然没有，取第一个可用的 key
+    if (!postBody.content) {
+      const firstKey = Object.keys(content).find(k => content[k]?.content);
+      if (firstKey) {
+        postBody = content[firstKey];
       }
     }
+  }
+  
+  return postBody;
+}
+
+function extractTextFromPost(content) {
+  try {
+    const postBody = unwrapPostBody(content);
     
     const parts = [];
     
@@ -524,13 +1010,34 @@ function extractTextFromPost(content) {
   }
 }
 
+// ========== 从富文本(post)消息中提取图片 ==========
+function extractImagesFromPost(content) {
+  try {
+    const postBody = unwrapPostBody(content);
+    const imageKeys = [];
+    for (const paragraph of postBody.content || []) {
+      if (!Array.isArray(paragraph)) continue;
+      for (const element of paragraph) {
+        if (element.tag === 'img' && element.image_key) {
+          imageKeys.push(element.image_key);
+        }
+      }
+    }
+    return imageKeys;
+  } catch (error) {
+    console.error('[Post解析] 提取图片失败:', error.message);
+    return [];
+  }
+}
+
 // ========== 解析用户消息 ==========
-function parseMessage(text) {
+// defaultMode: 未指定模式关键词时使用的模式（工作区可配置）
+function parseMessage(text, defaultMode = 'agent') {
   // 移除 @ 机器人的部分
   const cleanText = text.replace(/@[\w\u4e00-\u9fa5]+/g, '').trim();
   
   // 检测模式关键词
-  let mode = 'agent';
+  let mode = defaultMode;
   let prompt = cleanText;
   
   if (cleanText.startsWith('/ask ') || cleanText.startsWith('问：') || cleanText.startsWith('问:')) {
@@ -548,87 +1055,191 @@ function parseMessage(text) {
 // replyToMessageId: 如果在话题中，传入要回复的消息 ID，消息会发送到同一话题
 async function sendMessage(chatId, content, msgType = 'text', replyToMessageId = null) {
   try {
-    // 截断过长的消息（飞书限制）
-    const maxLength = 30000;
-    let finalContent = content;
-    if (content.length > maxLength) {
-      finalContent = content.substring(0, maxLength) + '\n\n... (内容过长，已截断)';
+    // 隐藏密钥等敏感信息
+    const redacted = redactor.redact(content);
+    if (redacted.count > 0) {
+      console.log(`[脱敏] 消息中隐藏了 ${redacted.count} 处敏感信息`);
+      content = `${redacted.text}\n\n🔒 已隐藏 ${redacted.count} 处敏感信息`;
     }
     
-    const msgContent = JSON.stringify({ text: finalContent });
+    // 过长的消息按段落分页依次发送（飞书限制单条消息长度）
+    const pages = splitMarkdown(content, config.reply.pageSize);
+    const sendCount = Math.min(pages.length, config.reply.maxPages);
+    for (let i = 0; i < sendCount; i++) {
+      const pageText = pages.length > 1 ? `（${i + 1}/${pages.length}）\n${pages[i]}` : pages[i];
+      const msgContent = JSON.stringify({ text: pageText });
+      
+      await trackFeishuCall('send_message', () => replyToMessageId
+        // 话题模式：回复到话题中
+        ? client.im.message.reply({
+          path: { message_id: replyToMessageId },
+          data: {
+            msg_type: msgType,
+            content: msgContent,
+          },
+        })
+        // 普通模式：直接发送到聊天
+        : client.im.message.create({
+          params: { receive_id_type: 'chat_id' },
+          data: {
+            receive_id: chatId,
+            msg_type: msgType,
+            content: msgContent,
+          },
+        }));
+    }
+    console.log(`[飞书] 消息发送成功${pages.length > 1 ? `（${sendCount}/${pages.length} 页）` : ''}`);
     
-    if (replyToMessageId) {
-      // 话题模式：回复到话题中
-      await client.im.message.reply({
-        path: { message_id: replyToMessageId },
-        data: {
-          msg_type: msgType,
-          content: msgContent,
-        },
-      });
-    } else {
-      // 普通模式：直接发送到聊天
-      await client.im.message.create({
-        params: { receive_id_type: 'chat_id' },
-        data: {
-          receive_id: chatId,
-          msg_type: msgType,
-          content: msgContent,
-        },
-      });
+    if (pages.length > sendCount || (config.reply.attachThreshold > 0 && content.length > config.reply.attachThreshold)) {
+      await sendFullReplyFile(chatId, content, replyToMessageId, pages.length > sendCount ? `仅发送了前 ${sendCount} 页` : '');
     }
-    console.log('[飞书] 消息发送成功');
   } catch (error) {
     console.error('[飞书] 消息发送失败:', error.message);
   }
 }
 
-// ========== 构建卡片 JSON ==========
-function buildCard(content, title = 'Cursor AI 回复', template = 'blue') {
-  const maxLength = 30000;
-  let finalContent = content;
-  if (content.length > maxLength) {
-    finalContent = content.substring(0, maxLength) + '\n\n... (内容过长，已截断)';
-  }
-  return {
-    config: { wide_screen_mode: true },
+// ========== 长回复分页 ==========
+// 把完整内容作为 .md 文件发送（内容已脱敏或在此脱敏），note 为附加说明
+async function sendFullReplyFile(chatId, content, replyToMessageId = null, note = '') {
+  const filePath = path.join(os.tmpdir(), `reply-${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}.md`);
+  try {
+    fs.writeFileSync(filePath, redactor.redact(content).text);
+    await sendLocalFile(chatId, filePath, replyToMessageId, os.tmpdir());
+    console.log(`[飞书] 已附上完整内容文件 (${content.length} 字符)${note ? `，${note}` : ''}`);
+  } catch (error) {
+    console.error('[飞书] 发送完整内容文件失败:', error.message);
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+// 分页更新结果卡片：第一页放在原卡片中，其余页作为续页卡片按顺序发到同一话题，
+// 超过页数上限或附件阈值时附上完整的 .md 文件。messageId 为空时第一页作为新卡片发送。
+// 内容先整体脱敏再分页，隐藏总数显示在第一张卡片上。返回 { firstPage, redactedCount }
+async function updateMarkdownCardPaged(messageId, chatId, replyToMessageId, content, title, template, options = {}) {
+  const { text, pages, redactedCount } = redactAndSplit(content, config.reply.pageSize, redactor.redact);
+  if (redactedCount > 0) {
+    console.log(`[脱敏] 回复中隐藏了 ${redactedCount} 处敏感信息`);
+  }
+  const sendCount = Math.min(pages.length, config.reply.maxPages);
+  const overflow = pages.length > sendCount;
+  const attach = overflow || (config.reply.attachThreshold > 0 && text.length > config.reply.attachThreshold);
+  
+  const firstPage = pages.length > 1
+    ? `${pages[0]}\n\n---\n📄 第 1/${pages.length} 页，后续内容见下方${overflow ? `（超过 ${sendCount} 页的部分见附件）` : ''}`
+    : text;
+  const firstOptions = { ...options, redactedCount };
+  if (messageId) {
+    await updateMarkdownCard(messageId, firstPage, title, template, firstOptions);
+  } else {
+    await sendMarkdownCard(chatId, firstPage, title, template, replyToMessageId, firstOptions);
+  }
+  
+  for (let i = 1; i < sendCount; i++) {
+    await sendMarkdownCard(chatId, pages[i], `${title}（${i + 1}/${pages.length}）`, template, replyToMessageId);
+  }
+  if (attach) {
+    await sendFullReplyFile(chatId, text, replyToMessageId, overflow ? `仅发送了前 ${sendCount} 页` : '');
+  }
+  return { firstPage, redactedCount };
+}
+
+// ========== 构建卡片 JSON ==========
+// options.actions: 卡片底部按钮 [{ text, type, value }]，点击后触发 card.action.trigger 回调
+// options.steps: 步骤跟踪器（lib/tool-steps.js），渲染为正文上方的可折叠执行步骤
+// options.panels: 正文下方的可折叠面板 [{ title, content, expanded }]
+// options.redactedCount: 调用方已脱敏的数量（如分页前整体脱敏），与卡片内隐藏的数量合并显示
+function buildCard(content, title = 'Cursor AI 回复', template = 'blue', options = {}) {
+  // 隐藏密钥等敏感信息（标题、正文、执行步骤、折叠面板都要处理），统计隐藏数量
+  let redactedCount = options.redactedCount || 0;
+  const redact = (text) => {
+    const result = redactor.redact(text);
+    redactedCount += result.count;
+    return result.text;
+  };
+  content = redact(content);
+  title = redact(title);
+  
+  // 单张卡片放不下时只展示最后一页（流式输出时最新内容在末尾，完整内容在完成后分页发送）
+  let finalContent = content;
+  if (content.length > config.reply.pageSize) {
+    const pages = splitMarkdown(content, config.reply.pageSize - 100);
+    finalContent = `…（前文较长，已省略 ${pages.length - 1} 页）\n\n${pages[pages.length - 1]}`;
+  }
+  const buildPanel = ({ title: panelTitle, content: panelContent, expanded = false }) => ({
+    tag: 'collapsible_panel',
+    expanded,
     header: {
-      title: { tag: 'plain_text', content: title },
-      template,
+      title: { tag: 'markdown', content: redact(panelTitle) },
     },
+    border: { color: 'grey' },
     elements: [
-      { tag: 'markdown', content: finalContent },
+      { tag: 'markdown', content: redact(panelContent) },
     ],
+  });
+  const elements = [];
+  if (options.steps?.count > 0) {
+    elements.push(buildPanel({ title: `🧭 **执行步骤** ${options.steps.summary()}`, content: options.steps.toMarkdown() }));
+  }
+  // 正文转换为标题、表格、代码块等卡片元素，元素数量超出预算时保持单个 markdown 元素
+  const reserved = elements.length + (options.panels?.length || 0) * 2 + 2;
+  const contentElements = config.reply.cardMaxElements > 0
+    ? markdownToElements(finalContent, { maxElements: config.reply.cardMaxElements - reserved })
+    : null;
+  elements.push(...(contentElements || [{ tag: 'markdown', content: finalContent }]));
+  for (const panel of options.panels || []) {
+    elements.push(buildPanel(panel));
+  }
+  if (redactedCount > 0) {
+    elements.push({
+      tag: 'note',
+      elements: [{ tag: 'plain_text', content: `🔒 已隐藏 ${redactedCount} 处敏感信息` }],
+    });
+  }
+  if (options.actions?.length) {
+    elements.push({
+      tag: 'action',
+      actions: options.actions.map(({ text, type = 'default', value }) => ({
+        tag: 'button',
+        text: { tag: 'plain_text', content: text },
+        type,
+        value,
+      })),
+    });
+  }
+  return {
+    config: { wide_screen_mode: true, update_multi: true },
+    header: {
+      title: { tag: 'plain_text', content: title },
+      template,
+    },
+    elements,
   };
 }
 
 // ========== 发送 Markdown 消息卡片（返回 message_id） ==========
-async function sendMarkdownCard(chatId, content, title = 'Cursor AI 回复', template = 'blue', replyToMessageId = null) {
+async function sendMarkdownCard(chatId, content, title = 'Cursor AI 回复', template = 'blue', replyToMessageId = null, options = {}) {
   try {
-    const card = buildCard(content, title, template);
+    const card = buildCard(content, title, template, options);
     const cardJson = JSON.stringify(card);
-    let resp;
-    
-    if (replyToMessageId) {
+    const resp = await trackFeishuCall('send_card', () => replyToMessageId
       // 话题模式：回复到话题中
-      resp = await client.im.message.reply({
+      ? client.im.message.reply({
         path: { message_id: replyToMessageId },
         data: {
           msg_type: 'interactive',
           content: cardJson,
         },
-      });
-    } else {
+      })
       // 普通模式：直接发送到聊天
-      resp = await client.im.message.create({
+      : client.im.message.create({
         params: { receive_id_type: 'chat_id' },
         data: {
           receive_id: chatId,
           msg_type: 'interactive',
           content: cardJson,
         },
-      });
-    }
+      }));
     // 飞书 SDK 响应可能嵌套在 data 中
     const messageId = resp?.message_id || resp?.data?.message_id || null;
     console.log(`[飞书] Markdown 卡片发送成功 (message_id: ${messageId})`);
@@ -645,16 +1256,16 @@ async function sendMarkdownCard(chatId, content, title = 'Cursor AI 回复', tem
 }
 
 // ========== 更新已有的 Markdown 卡片（流式更新） ==========
-async function updateMarkdownCard(messageId, content, title = 'Cursor AI 回复', template = 'blue') {
+async function updateMarkdownCard(messageId, content, title = 'Cursor AI 回复', template = 'blue', options = {}) {
   if (!messageId) return;
   try {
-    const card = buildCard(content, title, template);
-    await client.im.message.patch({
+    const card = buildCard(content, title, template, options);
+    await trackFeishuCall('update_card', () => client.im.message.patch({
       path: { message_id: messageId },
       data: {
         content: JSON.stringify(card),
       },
-    });
+    }));
   } catch (error) {
     console.error('[飞书] 卡片更新失败:', error.message);
   }
@@ -719,13 +1330,13 @@ async function uploadFile(filePath) {
     
     fileType = typeMap[ext] || 'stream';
     
-    const response = await client.im.file.create({
+    const response = await trackFeishuCall('upload_file', () => client.im.file.create({
       data: {
         file_type: fileType,
         file_name: fileName,
         file: fileBuffer,
       },
-    });
+    }));
     
     if (response.file_key) {
       console.log(`[飞书] 文件上传成功: ${response.file_key}`);
@@ -774,12 +1385,13 @@ async function sendFile(chatId, fileKey, fileName, replyToMessageId = null) {
 }
 
 // ========== 发送本地文件到飞书 ==========
-async function sendLocalFile(chatId, filePath, replyToMessageId = null) {
+// baseDir: 相对路径的基准目录（话题所在工作区）
+async function sendLocalFile(chatId, filePath, replyToMessageId = null, baseDir = config.workDir) {
   try {
     // 处理相对路径
     let absolutePath = filePath;
     if (!path.isAbsolute(filePath)) {
-      absolutePath = path.join(config.workDir, filePath);
+      absolutePath = path.join(baseDir, filePath);
     }
     
     console.log(`[文件] 准备发送文件: ${absolutePath}`);
@@ -816,8 +1428,152 @@ async function sendLocalFile(chatId, filePath, replyToMessageId = null) {
   }
 }
 
+// ========== 附件收件箱 ==========
+// 每条消息的附件保存在 <workDir>/.feishu-inbox/<messageId>/ 下，过期自动清理
+const INBOX_DIR_NAME = '.feishu-inbox';
+
+// 话题中暂存的附件（单独发送的图片/文件），随下一条文字消息交给 AI
+const pendingAttachments = new Map(); // threadKey -> [{ name, path, size, receivedAt }]
+
+function getInboxDir(messageId, baseDir) {
+  const root = path.join(baseDir, INBOX_DIR_NAME);
+  if (!fs.existsSync(root)) {
+    fs.mkdirSync(root, { recursive: true });
+    // 收件箱内容不应被提交到仓库
+    fs.writeFileSync(path.join(root, '.gitignore'), '*\n');
+  }
+  const dir = path.join(root, messageId);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+// 根据文件头识别图片格式（飞书图片资源不带文件名）
+function detectImageExt(filePath) {
+  const header = Buffer.alloc(12);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, 12, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (header[0] === 0xFF && header[1] === 0xD8) return '.jpg';
+  if (header.toString('ascii', 1, 4) === 'PNG') return '.png';
+  if (header.toString('ascii', 0, 3) === 'GIF') return '.gif';
+  if (header.toString('ascii', 8, 12) === 'WEBP') return '.webp';
+  return '.png';
+}
+
+// 下载消息中的图片/文件到收件箱（baseDir 为话题所在工作区）
+// type: image / file；fileName 为空时按图片处理并自动识别扩展名
+async function downloadMessageResource(messageId, fileKey, type, fileName = '', baseDir = config.workDir) {
+  if (fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (!config.inbox.allowedTypes.includes(ext)) {
+      throw new Error(`不支持的文件类型: ${ext || '无扩展名'}（允许: ${config.inbox.allowedTypes.join(' ')}）`);
+    }
+  }
+  
+  const dir = getInboxDir(messageId, baseDir);
+  // 只保留文件名，防止路径穿越
+  let target = path.join(dir, path.basename(fileName || `image_${fileKey.slice(-8)}`));
+  
+  console.log(`[收件箱] 下载${type === 'image' ? '图片' : '文件'}: ${fileKey} -> ${target}`);
+  const resource = await client.im.messageResource.get({
+    path: { message_id: messageId, file_key: fileKey },
+    params: { type },
+  });
+  // size 为空时表示下载中途超限，实际大小未知
+  const tooLarge = size => new Error(`文件过大（${size ? formatFileSize(size) : `超过 ${formatFileSize(config.inbox.maxSize)}`}），限制 ${formatFileSize(config.inbox.maxSize)}`);
+  
+  // 响应头给出大小时直接拒绝，不下载
+  const stream = resource.getReadableStream();
+  const contentLength = parseInt(resource.headers?.['content-length']);
+  if (contentLength > config.inbox.maxSize) {
+    stream.destroy();
+    throw tooLarge(contentLength);
+  }
+  
+  // 边下载边计数，超过上限立即中止并删除已写入的部分
+  let size = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > config.inbox.maxSize ? tooLarge() : null, chunk);
+    },
+  });
+  try {
+    await pipeline(stream, limiter, fs.createWriteStream(target));
+  } catch (error) {
+    fs.rmSync(target, { force: true });
+    throw error;
+  }
+  
+  if (!fileName) {
+    const renamed = target + detectImageExt(target);
+    fs.renameSync(target, renamed);
+    target = renamed;
+  }
+  
+  return { name: path.basename(target), path: target, size, receivedAt: Date.now() };
+}
+
+// 暂存附件 / 取出并清空暂存附件
+function stashAttachments(threadKey, attachments) {
+  const list = pendingAttachments.get(threadKey) || [];
+  list.push(...attachments);
+  pendingAttachments.set(threadKey, list);
+  return list;
+}
+
+function takePendingAttachments(threadKey) {
+  const now = Date.now();
+  const list = (pendingAttachments.get(threadKey) || []).filter(a => now - a.receivedAt < config.inbox.ttl && fs.existsSync(a.path));
+  pendingAttachments.delete(threadKey);
+  return list;
+}
+
+// 把附件路径附加到提示词末尾
+function appendAttachmentsToPrompt(prompt, attachments) {
+  if (attachments.length === 0) return prompt;
+  const list = attachments.map(a => `- ${a.name}（${formatFileSize(a.size)}）: ${a.path}`).join('\n');
+  return `${prompt}\n\n[用户通过飞书发送的附件，已保存到本地，可直接读取]\n${list}`;
+}
+
+// 定期清理过期的收件箱目录和暂存附件
+setInterval(() => {
+  const now = Date.now();
+  for (const [threadKey, list] of pendingAttachments.entries()) {
+    const valid = list.filter(a => now - a.receivedAt < config.inbox.ttl);
+    if (valid.length === 0) {
+      pendingAttachments.delete(threadKey);
+    } else {
+      pendingAttachments.set(threadKey, valid);
+    }
+  }
+  
+  // 工作区和各话题的 worktree 下都可能有收件箱
+  const baseDirs = [...workspaces.list(), ...worktrees.list()].map(item => item.path);
+  for (const baseDir of baseDirs) {
+    const root = path.join(baseDir, INBOX_DIR_NAME);
+    if (!fs.existsSync(root)) continue;
+    for (const item of fs.readdirSync(root, { withFileTypes: true })) {
+      if (!item.isDirectory()) continue;
+      const dir = path.join(root, item.name);
+      try {
+        if (now - fs.statSync(dir).mtimeMs > config.inbox.ttl) {
+          fs.rmSync(dir, { recursive: true, force: true });
+          console.log(`[收件箱] 清理过期附件: ${path.basename(baseDir)}/${item.name}`);
+        }
+      } catch (e) {
+        // 忽略清理错误
+      }
+    }
+  }
+}, 60 * 60 * 1000); // 每小时检查一次
+
 // ========== 列出工作目录下的文件 ==========
-function listFiles(dirPath = config.workDir, pattern = '') {
+// rootDir: 计算相对路径和扫描深度的根目录（默认为 dirPath 本身）
+function listFiles(dirPath = config.workDir, pattern = '', rootDir = dirPath) {
   try {
     const files = [];
     const items = fs.readdirSync(dirPath, { withFileTypes: true });
@@ -829,7 +1585,7 @@ function listFiles(dirPath = config.workDir, pattern = '') {
       }
       
       const fullPath = path.join(dirPath, item.name);
-      const relativePath = path.relative(config.workDir, fullPath);
+      const relativePath = path.relative(rootDir, fullPath);
       
       if (item.isFile()) {
         // 如果有 pattern，检查文件名是否匹配
@@ -846,7 +1602,7 @@ function listFiles(dirPath = config.workDir, pattern = '') {
         // 递归扫描子目录（限制深度为 3）
         const depth = relativePath.split(path.sep).length;
         if (depth < 3) {
-          files.push(...listFiles(fullPath, pattern));
+          files.push(...listFiles(fullPath, pattern, rootDir));
         }
       }
     }
@@ -1112,95 +1868,1093 @@ async function captureAndSendScreenshot(chatId, replyToMessageId = null) {
         fs.unlinkSync(tempPath);
         console.log('[截图] 临时文件已清理');
       }
-    } catch (e) {
-      // 忽略清理错误
+    } catch (e) {
+      // 忽略清理错误
+    }
+  }
+}
+
+// ========== 权限校验 ==========
+// 无权限时发送拒绝卡片并记录审计日志，返回是否放行
+async function ensurePermission({ chatId, senderId, replyToMessageId, text }, permission) {
+  const { allowed, role } = checkPermission(accessPolicy, { openId: senderId, chatId }, permission);
+  if (allowed) return true;
+  
+  console.log(`[审计] 拒绝访问: permission=${permission}, role=${role}, open_id=${senderId}, chat_id=${chatId}, text=${text.substring(0, 50)}`);
+  await sendMarkdownCard(
+    chatId,
+    `抱歉，你当前的角色（${ROLE_NAMES[role] || role}）暂无「${PERMISSIONS[permission]}」权限。\n\n如需开通，请联系机器人管理员。`,
+    '🔒 暂无权限',
+    'orange',
+    replyToMessageId
+  );
+  return false;
+}
+
+// ========== 任务卡片按钮 ==========
+// stage: running（执行中）/ warning（超时预警）/ done（已结束）
+function buildTaskActions(task, stage) {
+  const value = (action) => ({ action, taskId: task.id });
+  if (stage === 'running') {
+    return [{ text: '⏹️ 停止', type: 'danger', value: value('stop') }];
+  }
+  if (stage === 'warning') {
+    return [
+      { text: '⏱️ 延长 5 分钟', type: 'primary', value: { ...value('extend'), minutes: 5 } },
+      { text: '⏹️ 停止', type: 'danger', value: value('stop') },
+    ];
+  }
+  const actions = [
+    { text: '🔁 重试', value: value('retry') },
+    { text: '▶️ 继续', type: 'primary', value: value('continue') },
+    { text: '🆕 新会话', value: value('new_session') },
+  ];
+  // 只有可写模式才会生成文件
+  if (getMode(task.mode).writable) {
+    actions.push({ text: '📎 发送生成的文件', value: value('send_files') });
+  }
+  return actions;
+}
+
+// ========== 执行 Agent 任务 ==========
+// task: { id, chatId, threadKey, replyToMessageId, senderId, mode, prompt, workspace, sessionKey, worktreeKey? }
+// worktreeKey: worktree 的 key，默认与会话 key 相同（定时任务每次新会话但共用同一个 worktree）
+async function runAgentTask(task) {
+  const { chatId, threadKey, replyToMessageId, senderId, mode, prompt, sessionKey } = task;
+  const workspace = workspaces.get(task.workspace) || workspaces.resolve(threadKey, chatId);
+  
+  // 启用 worktree 隔离时在话题自己的 worktree 中执行
+  try {
+    task.workDir = await prepareThreadWorkDir(workspace, task.worktreeKey || sessionKey);
+  } catch (error) {
+    console.error('[Worktree] 准备 worktree 失败:', error.message);
+    Object.assign(task, { status: 'failed', error: error.message, finishedAt: Date.now() });
+    // 没有启动后端也要记录历史，便于在 /history 中查看和 /rerun
+    taskHistory.start({
+      id: task.id,
+      prompt,
+      mode,
+      backend: resolveBackend(chatId, workspace).name,
+      threadKey,
+      chatId,
+      senderId: senderId || null,
+      workspace: workspace.name,
+      cwd: workspace.path,
+    });
+    taskHistory.update(task.id, { status: 'failed', error: `创建 worktree 失败：${error.message}`, finishedAt: Date.now() });
+    await sendMessage(chatId, `❌ 创建 worktree 失败：${error.message}`, 'text', replyToMessageId);
+    return;
+  }
+  
+  // 发送处理中提示（卡片标题和颜色由模式决定）
+  const modeDef = getMode(mode);
+  
+  // 检查是否有现有会话（按话题 + 工作区区分，其他后端创建的会话不能继续）
+  const backend = resolveBackend(chatId, workspace);
+  const existingSession = getSession(sessionKey);
+  const resumable = existingSession && (existingSession.backend || 'cursor') === backend.name;
+  // 使用非默认后端时在标题中注明
+  const backendHint = backend.name === config.backend ? '' : ` · ${backend.label}`;
+  const sessionHint = `（${resumable ? '继续对话' : '新会话'}${backendHint}）`;
+  
+  // 发送初始流式卡片（替代"请稍候"）
+  const streamingTitle = `⏳ ${modeDef.icon} ${modeDef.label}中${sessionHint}...`;
+  const stepTracker = createStepTracker();
+  const runningActions = { actions: buildTaskActions(task, 'running'), steps: stepTracker };
+  const streamCardId = await sendMarkdownCard(chatId, '思考中...', streamingTitle, modeDef.card.streaming, replyToMessageId, runningActions);
+  
+  task.cardId = streamCardId;
+  task.startTime = Date.now();
+  task.status = 'running';
+  task.stepTracker = stepTracker;
+  rememberTask(task);
+  
+  // 更新为最终卡片（带重试/继续等按钮），并记录内容以便按钮操作后原地更新
+  const finishCard = async (content, title, template, status) => {
+    Object.assign(task, { resultText: content, finalTitle: title, finalTemplate: template, status, finishedAt: Date.now() });
+    taskHistory.update(task.id, { status, result: content, title, template, error: task.error || null });
+    // 长回复分页发送，原卡片只保留第一页（按钮操作后原地更新时也只用第一页）
+    const paged = await updateMarkdownCardPaged(streamCardId, chatId, replyToMessageId, content, title, template, { actions: buildTaskActions(task, 'done'), steps: stepTracker });
+    task.cardText = paged.firstPage;
+    task.cardRedactedCount = paged.redactedCount;
+  };
+  
+  // 可写模式下记录任务前的工作区快照，结束后生成变更摘要
+  const snapshot = modeDef.writable ? await takeWorkTreeSnapshot(task.workDir) : null;
+  
+  try {
+    // 流式回调：实时更新飞书卡片（返回 Promise 以支持链式等待）
+    const onStream = (text) => {
+      return updateMarkdownCard(streamCardId, text, streamingTitle, modeDef.card.streaming, runningActions);
+    };
+    
+    // 超时预警：提示用户可以延长期限
+    const onTimeoutWarning = (remainMs) => {
+      return sendMarkdownCard(
+        chatId,
+        `任务将在约 ${Math.max(1, Math.round(remainMs / 1000))} 秒后因超时被终止。\n\n发送 **/extend [分钟]** 可延长期限，发送 **/stop** 立即终止。`,
+        '⏰ 任务即将超时',
+        'orange',
+        replyToMessageId,
+        { actions: buildTaskActions(task, 'warning') }
+      );
+    };
+    
+    // 调用 Agent 后端（传入 threadKey 以支持 stop 命令 + 流式回调）
+    const result = await callAgentBackend(prompt, mode, threadKey, onStream, {
+      backend,
+      timeoutMs: getTaskTimeout(mode, chatId),
+      onTimeoutWarning,
+      route: { chatId, replyToMessageId },
+      senderId,
+      taskId: task.id,
+      stepTracker,
+      cwd: task.workDir,
+      env: workspace.env,
+      workspace: workspace.name,
+      sessionKey,
+    });
+    
+    // 最终更新卡片为完成状态
+    const cardTitle = `✅ ${modeDef.label}完成`;
+    await finishCard(result, cardTitle, modeDef.card.done, 'succeeded');
+  } catch (error) {
+    console.error('[错误]', error);
+    
+    // 如果是用户主动停止的，卡片标记为已终止
+    if (error.message === 'STOPPED_BY_USER') {
+      const notice = '⏹️ 任务已被终止';
+      await finishCard(error.partialText ? `${error.partialText}\n\n---\n${notice}` : notice, `⏹️ ${modeDef.label}已终止`, 'grey', 'stopped');
+      return;
+    }
+    
+    // 超时被看门狗终止：展示已输出的部分内容
+    if (error.message === 'TASK_TIMEOUT') {
+      const minutes = Math.round(error.elapsedMs / 60000);
+      const notice = `⏰ 任务运行约 ${minutes} 分钟后超时被终止${error.partialText ? '，以上为已输出的部分内容' : ''}。\n可直接回复“继续”在同一会话中接着执行，或用 /timeout 调整超时时间。`;
+      const content = error.partialText ? `${error.partialText}\n\n---\n${notice}` : notice;
+      await finishCard(content, `⏰ ${modeDef.label}超时`, 'orange', 'timeout');
+      return;
+    }
+    
+    // 只读模式下试图修改文件，已被守卫终止
+    if (error.message === 'READONLY_VIOLATION') {
+      const { type, target } = error.attempt;
+      const action = type === 'shell' ? '执行命令' : '修改文件';
+      await finishCard(`${modeDef.label}模式为只读，AI 试图${action} \`${target.length > 200 ? `${target.substring(0, 200)}…` : target}\`，任务已被终止。\n\n如需修改代码或执行命令，请直接发送消息（执行模式）。`, `🚫 ${modeDef.label}模式拒绝${action}`, 'red', 'failed');
+      return;
+    }
+    
+    task.error = error.message;
+    if (streamCardId) {
+      await finishCard(`❌ 执行出错：${error.message}`, `❌ ${modeDef.label}失败`, 'red', 'failed');
+    } else {
+      Object.assign(task, { status: 'failed', finishedAt: Date.now() });
+      taskHistory.update(task.id, { status: 'failed', error: error.message });
+      await sendMessage(chatId, `❌ 执行出错：${error.message}`, 'text', replyToMessageId);
+    }
+  } finally {
+    // 无论成功、终止还是超时，只要工作区有变更就发送变更摘要
+    if (snapshot) {
+      await reportTaskChanges(task, snapshot);
+    }
+  }
+}
+
+// ========== 任务变更摘要 ==========
+// diff 超过此长度时不在卡片内展示，改为发送 .patch 文件
+const DIFF_INLINE_LIMIT = 6000;
+
+// 获取工作区快照，非 git 仓库或失败时返回 null
+async function takeWorkTreeSnapshot(cwd) {
+  try {
+    if (!await isGitRepo(cwd)) return null;
+    return { cwd, tree: await snapshotWorkTree(cwd) };
+  } catch (error) {
+    console.error('[变更] 获取工作区快照失败:', error.message);
+    return null;
+  }
+}
+
+// 对比任务前后的快照，发送变更摘要卡片（带保留/回滚按钮）
+async function reportTaskChanges(task, snapshot) {
+  const { cwd, tree: before } = snapshot;
+  let after;
+  let diff;
+  try {
+    after = await snapshotWorkTree(cwd);
+    diff = await diffSnapshots(cwd, before, after);
+  } catch (error) {
+    console.error('[变更] 生成变更摘要失败:', error.message);
+    return;
+  }
+  if (diff.files.length === 0) return;
+  
+  console.log(`[变更] 任务 ${task.id} 修改了 ${diff.files.length} 个文件 (+${diff.added} -${diff.removed})`);
+  
+  const fileLines = diff.files.slice(0, 30).map(f => f.binary
+    ? `- \`${f.path}\`（二进制文件）`
+    : `- \`${f.path}\` <font color='green'>+${f.added}</font> <font color='red'>−${f.removed}</font>`);
+  if (diff.files.length > 30) {
+    fileLines.push(`- … 另有 ${diff.files.length - 30} 个文件`);
+  }
+  
+  const inline = diff.patch.length <= DIFF_INLINE_LIMIT;
+  const content = `${fileLines.join('\n')}${inline ? '' : '\n\n完整 diff 较长，已作为 .patch 文件发送'}`;
+  const title = `📝 代码变更：${diff.files.length} 个文件（+${diff.added} −${diff.removed}）`;
+  const panels = inline ? [{ title: '📄 **查看 diff**', content: `\`\`\`diff\n${diff.patch}\n\`\`\`` }] : [];
+  
+  task.changes = { cwd, before, after, content, title, panels };
+  task.changes.cardId = await sendMarkdownCard(task.chatId, content, title, 'blue', task.replyToMessageId, {
+    panels,
+    actions: [
+      { text: '✅ 保留变更', type: 'primary', value: { action: 'accept_changes', taskId: task.id } },
+      { text: '↩️ 回滚变更', type: 'danger', value: { action: 'revert_changes', taskId: task.id } },
+    ],
+  });
+  
+  // diff 过长时作为附件发送
+  if (!inline) {
+    const patchPath = path.join(os.tmpdir(), `changes-${task.id}.patch`);
+    try {
+      fs.writeFileSync(patchPath, redactor.redact(diff.patch).text);
+      await sendLocalFile(task.chatId, patchPath, task.replyToMessageId, cwd);
+    } catch (error) {
+      console.error('[变更] 发送 patch 文件失败:', error.message);
+    } finally {
+      fs.rmSync(patchPath, { force: true });
+    }
+  }
+}
+
+// ========== 任务队列 ==========
+// 生成任务 ID
+function createTaskId() {
+  return `${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// 提交任务：话题空闲时立即执行，否则按 config.queuePolicy 处理
+async function submitTask(task) {
+  const { chatId, threadKey, replyToMessageId } = task;
+  
+  if (!busyThreads.has(threadKey)) {
+    runTaskChain(task);
+    return;
+  }
+  
+  // 拒绝：提示用户稍后再试
+  if (config.queuePolicy === 'reject') {
+    task.status = 'rejected';
+    recordTaskMetrics(task);
+    await sendMessage(chatId, '⚠️ 当前话题已有任务在执行，请等待完成后再发送，或发送 /stop 终止当前任务', 'text', replyToMessageId);
+    return;
+  }
+  
+  const queue = taskQueues.get(threadKey) || [];
+  if (queue.length >= config.queueMaxSize) {
+    task.status = 'rejected';
+    recordTaskMetrics(task);
+    await sendMessage(chatId, `⚠️ 当前话题排队任务已达上限（${config.queueMaxSize} 个），请稍后再试`, 'text', replyToMessageId);
+    return;
+  }
+  taskQueues.set(threadKey, queue);
+  
+  // 中断并替换：新任务插到队首，终止当前任务后立即执行（定时任务不会中断用户的任务，只排队）
+  if (config.queuePolicy === 'interrupt' && task.source !== 'cron') {
+    queue.unshift(task);
+    const result = stopTask(threadKey);
+    console.log(`[队列] 中断当前任务，替换为新任务: ${threadKey} (stopped: ${result.stopped})`);
+    if (result.stopped) {
+      await sendMessage(chatId, `⏹️ 已中断上一个任务（${result.prompt}...），开始执行新任务`, 'text', replyToMessageId);
+      return;
+    }
+    // 上一个任务尚未启动进程，无法中断，退化为排队
+  } else {
+    queue.push(task);
+  }
+  
+  const position = queue.indexOf(task) + 1;
+  console.log(`[队列] 任务排队: ${threadKey} #${position} ${task.prompt.substring(0, 50)}`);
+  task.queueCardId = await sendMarkdownCard(
+    chatId,
+    `${task.prompt.substring(0, 200)}\n\n当前任务完成后将自动执行。\n发送 /queue 查看队列，/cancel ${position} 取消此任务。`,
+    `🕒 排队中 #${position}`,
+    'grey',
+    replyToMessageId
+  );
+}
+
+// 依次执行任务，完成后自动取出同一话题队列中的下一个
+async function runTaskChain(task) {
+  const { threadKey } = task;
+  busyThreads.add(threadKey);
+  try {
+    await logger.runWithContext(
+      { taskId: task.id, threadKey, messageId: task.replyToMessageId, chatId: task.chatId },
+      () => runAgentTask(task)
+    );
+  } catch (error) {
+    console.error('[队列] 任务执行异常:', error.message);
+  }
+  recordTaskMetrics(task);
+  
+  const queue = taskQueues.get(threadKey);
+  const next = queue?.shift();
+  if (queue && queue.length === 0) {
+    taskQueues.delete(threadKey);
+  }
+  if (!next) {
+    busyThreads.delete(threadKey);
+    return;
+  }
+  
+  if (next.queueCardId) {
+    await updateMarkdownCard(next.queueCardId, next.prompt.substring(0, 200), '▶️ 已开始执行', 'grey');
+  }
+  runTaskChain(next);
+}
+
+// 取消排队中的第 n 个任务（从 1 开始），返回被取消的任务
+function cancelQueuedTask(threadKey, n) {
+  const queue = taskQueues.get(threadKey);
+  if (!queue || n < 1 || n > queue.length) return null;
+  const [task] = queue.splice(n - 1, 1);
+  if (queue.length === 0) {
+    taskQueues.delete(threadKey);
+  }
+  task.status = 'cancelled';
+  recordTaskMetrics(task);
+  return task;
+}
+
+// ========== API 任务 ==========
+// 通过 POST /tasks 提交的任务（包括尚未开始执行的排队任务），供 GET /tasks/:id 查询
+const apiTasks = new Map(); // taskId -> task
+
+// 校验参数并提交任务：先在目标群发一张任务卡片，任务在该卡片的话题中执行，
+// 之后在话题里回复即可继续同一会话或 /stop 终止。返回 { task } 或 { status, error }
+async function submitApiTask(data) {
+  const prompt = typeof data.prompt === 'string' ? data.prompt.trim() : '';
+  const chatId = data.chat_id;
+  if (!prompt || !chatId) {
+    return { status: 400, error: '缺少 prompt 或 chat_id 参数' };
+  }
+  const workspace = data.workspace ? workspaces.get(data.workspace) : workspaces.resolve(chatId, chatId);
+  if (!workspace) {
+    return { status: 400, error: `工作区 "${data.workspace}" 不存在` };
+  }
+  const mode = data.mode || workspace.mode || 'agent';
+  if (!isMode(mode)) {
+    return { status: 400, error: `不支持的模式 "${mode}"，可选 ${Object.keys(MODES).join(' / ')}` };
+  }
+  
+  const source = typeof data.source === 'string' && data.source ? data.source : 'API';
+  const rootId = await sendMarkdownCard(chatId, `${prompt}\n\n来源：${source}`, `🤖 收到外部任务（${getMode(mode).label}）`, 'blue');
+  if (!rootId) {
+    return { status: 502, error: '发送飞书消息失败，请检查 chat_id 以及机器人是否在该群中' };
+  }
+  
+  const threadKey = `${chatId}:${rootId}`;
+  const task = {
+    id: createTaskId(),
+    chatId,
+    threadKey,
+    replyToMessageId: rootId,
+    senderId: 'api',
+    mode,
+    prompt,
+    workspace: workspace.name,
+    sessionKey: workspaceSessionKey(threadKey, workspace.name),
+    source: 'api',
+    status: 'queued',
+    createdAt: Date.now(),
+  };
+  apiTasks.set(task.id, task);
+  while (apiTasks.size > RECENT_TASKS_LIMIT) {
+    apiTasks.delete(apiTasks.keys().next().value);
+  }
+  console.log(`[API] 提交任务 ${task.id} -> ${chatId} (${workspace.name}/${mode}): ${prompt.substring(0, 50)}`);
+  await submitTask(task);
+  return { task };
+}
+
+// 任务状态（GET /tasks/:id 的返回内容）
+function describeApiTask(task) {
+  return {
+    id: task.id,
+    status: task.status,
+    mode: task.mode,
+    workspace: task.workspace,
+    chat_id: task.chatId,
+    message_id: task.replyToMessageId,
+    created_at: task.createdAt,
+    started_at: task.startTime || null,
+    finished_at: task.finishedAt || null,
+    result: task.resultText ?? null,
+    error: task.error || null,
+    changes: task.changes ? { title: task.changes.title } : null,
+  };
+}
+
+// ========== 定时任务 ==========
+// 到点时按创建时的话题、工作区和模式提交任务，结果卡片发送到创建任务的聊天/话题
+const scheduler = createScheduler({
+  file: path.join(config.dataDir, 'cron-jobs.json'),
+  onRun: runCronJob,
+});
+
+async function runCronJob(job) {
+  // 创建者的权限可能在添加任务后被收回，每次执行前重新检查
+  const { allowed, role } = checkPermission(accessPolicy, { openId: job.creator, chatId: job.chatId }, job.mode);
+  if (!allowed) {
+    scheduler.disable(job.id, `创建者（${ROLE_NAMES[role] || role}）已无「${PERMISSIONS[job.mode]}」权限`);
+    console.log(`[审计] 定时任务 ${job.id} 已停用：创建者 ${job.creator} 角色 ${role} 无 ${job.mode} 权限`);
+    await sendMessage(job.chatId, `⛔ 定时任务 ${job.id} 已停用：创建者已无「${PERMISSIONS[job.mode]}」权限\n\n权限恢复后可 /cron enable ${job.id} 重新启用，或 /cron rm ${job.id} 删除任务`, 'text', job.replyToMessageId);
+    return;
+  }
+  const workspace = workspaces.get(job.workspace) || workspaces.resolve(job.threadKey, job.chatId);
+  // 命名会话跨多次执行延续对话，否则每次都是新会话
+  const sessionThread = job.session ? `cron:${job.session}` : `cron:${job.id}:${Date.now()}`;
+  // worktree 按任务固定，避免每次执行都新建 worktree 和分支
+  const worktreeThread = job.session ? sessionThread : `cron:${job.id}`;
+  await sendMessage(job.chatId, `⏰ 定时任务 ${job.id} 开始执行：${job.prompt.substring(0, 50)}`, 'text', job.replyToMessageId);
+  await submitTask({
+    id: createTaskId(),
+    chatId: job.chatId,
+    threadKey: job.threadKey,
+    replyToMessageId: job.replyToMessageId,
+    senderId: job.creator,
+    mode: job.mode,
+    prompt: job.prompt,
+    workspace: workspace.name,
+    sessionKey: workspaceSessionKey(sessionThread, workspace.name),
+    worktreeKey: workspaceSessionKey(worktreeThread, workspace.name),
+    source: 'cron',
+  });
+}
+
+// ========== 处理消息事件 ==========
+async function handleMessage(event) {
+  const message = event.message;
+  const messageId = message.message_id;
+  const chatId = message.chat_id;
+  const msgType = message.message_type;
+  const createTime = parseInt(message.create_time); // 消息创建时间（毫秒时间戳）
+  const senderId = event.sender?.sender_id?.open_id || null;
+  
+  // 话题支持：提取话题根消息 ID
+  const rootId = message.root_id || null;
+  const parentId = message.parent_id || null;
+  
+  // 如果消息在话题中，使用消息 ID 作为回复目标（回复会自动归入同一话题）
+  const replyToMessageId = rootId ? messageId : null;
+  
+  // 会话/任务的唯一标识：话题用 chatId:rootId，普通聊天用 chatId
+  const threadKey = rootId ? `${chatId}:${rootId}` : chatId;
+  
+  // 话题绑定的工作区；会话按工作区隔离，切换工作区不会 --resume 到其他仓库的对话
+  const workspace = workspaces.resolve(threadKey, chatId);
+  const sessionKey = workspaceSessionKey(threadKey, workspace.name);
+  const workDir = getThreadWorkDir(workspace, sessionKey);
+  
+  if (rootId) {
+    console.log(`[话题] 检测到话题消息, rootId: ${rootId}, parentId: ${parentId}`);
+  }
+  
+  // 过滤历史消息：只处理服务启动后的消息
+  if (createTime < SERVICE_START_TIME) {
+    console.log(`[跳过] 历史消息，创建时间: ${new Date(createTime).toLocaleString()}, 服务启动: ${new Date(SERVICE_START_TIME).toLocaleString()}`);
+    return;
+  }
+  
+  // 消息去重：防止飞书重试机制导致重复处理
+  if (isMessageProcessed(messageId)) {
+    return;
+  }
+  
+  // 只处理文本、富文本、图片和文件消息，其他类型（系统通知等）静默忽略
+  if (!['text', 'post', 'image', 'file'].includes(msgType)) {
+    console.log(`[跳过] 不支持的消息类型: ${msgType}, messageId: ${messageId}`);
+    return;
+  }
+  
+  // 群聊中必须 @ 机器人才响应，私聊则直接响应
+  const chatType = message.chat_type;
+  if (chatType === 'group') {
+    const mentions = message.mentions;
+    // 检查是否明确 @ 了机器人（而不是 @ 了其他人）
+    const isBotMentioned = mentions && mentions.some(m => {
+      const mentionId = m?.id?.open_id || m?.id?.union_id || m?.id;
+      return mentionId === botOpenId;
+    });
+    if (!isBotMentioned) {
+      console.log(`[跳过] 群聊消息未 @ 机器人，忽略: ${messageId} (mentions: ${JSON.stringify(mentions?.map(m => m?.name || m?.id))})`);
+      return;
+    }
+  }
+  
+  // 解析消息内容
+  const content = JSON.parse(message.content);
+  let text = '';
+  let postImageKeys = [];
+  
+  if (msgType === 'text') {
+    // 纯文本消息
+    text = content.text || '';
+  } else if (msgType === 'post') {
+    // 富文本消息：提取所有文本内容和内嵌图片
+    text = extractTextFromPost(content);
+    postImageKeys = extractImagesFromPost(content);
+    console.log(`[Post] 从富文本提取的文本: ${text.substring(0, 200)}... (图片: ${postImageKeys.length})`);
+  }
+  
+  console.log(`[收到消息] ${text} (ID: ${messageId}, threadKey: ${threadKey}, sender: ${senderId})`);
+  
+  // 权限校验上下文
+  const access = { chatId, senderId, replyToMessageId, text };
+  
+  // 图片/文件消息：下载到收件箱暂存，随下一条文字消息一起交给 AI
+  if (msgType === 'image' || msgType === 'file') {
+    if (!await ensurePermission(access, 'chat')) return;
+    try {
+      const attachment = msgType === 'image'
+        ? await downloadMessageResource(messageId, content.image_key, 'image', '', workDir)
+        : await downloadMessageResource(messageId, content.file_key, 'file', content.file_name, workDir);
+      const pending = stashAttachments(threadKey, [attachment]);
+      await sendMessage(chatId, `📎 已收到附件：${attachment.name}（${formatFileSize(attachment.size)}）\n\n请继续发送文字说明，当前暂存的 ${pending.length} 个附件会一并交给 AI`, 'text', replyToMessageId);
+    } catch (error) {
+      console.error('[收件箱] 附件下载失败:', error.message);
+      await sendMessage(chatId, `❌ 附件接收失败：${error.message}`, 'text', replyToMessageId);
+    }
+    return;
+  }
+  
+  // Stop 命令 - 终止当前任务
+  if (text.includes('/stop') || text === '停止' || text === '终止') {
+    if (!await ensurePermission(access, 'chat')) return;
+    const result = stopTask(threadKey);
+    if (result.stopped) {
+      const pending = taskQueues.get(threadKey)?.length || 0;
+      const queueHint = pending > 0 ? `\n\n队列中还有 ${pending} 个任务将继续执行（/queue 查看）` : '';
+      await sendMessage(chatId, `⏹️ 已终止任务\n\n任务：${result.prompt}...\n运行时长：${result.duration} 秒${queueHint}`, 'text', replyToMessageId);
+    } else {
+      await sendMessage(chatId, '当前没有正在执行的任务', 'text', replyToMessageId);
+    }
+    return;
+  }
+  
+  // Extend 命令 - 延长当前任务的超时期限
+  if (text.startsWith('/extend') || text === '延长') {
+    if (!await ensurePermission(access, 'chat')) return;
+    const task = activeTasks.get(threadKey);
+    if (!task) {
+      await sendMessage(chatId, '当前没有正在执行的任务', 'text', replyToMessageId);
+      return;
+    }
+    if (task.watchdog.atLimit) {
+      await sendMessage(chatId, `⚠️ 任务已达到最长运行时间 ${Math.round(config.timeoutMax / 60000)} 分钟，不能再延长`, 'text', replyToMessageId);
+      return;
+    }
+    const match = text.match(/\/extend\s+(\d+)/);
+    const minutes = match ? parseInt(match[1], 10) : Math.round(config.timeout / 60000);
+    const deadline = task.watchdog.extend(minutes * 60000);
+    const limited = task.watchdog.atLimit ? `（已达到最长运行时间 ${Math.round(config.timeoutMax / 60000)} 分钟）` : '';
+    await sendMessage(chatId, `⏱️ 已延长，新的截止时间：${new Date(deadline).toLocaleTimeString()}${limited}`, 'text', replyToMessageId);
+    return;
+  }
+  
+  // Queue 命令 - 查看当前话题的排队任务
+  if (text.startsWith('/queue') || text === '队列') {
+    if (!await ensurePermission(access, 'chat')) return;
+    const queue = taskQueues.get(threadKey) || [];
+    const running = activeTasks.get(threadKey);
+    const lines = [];
+    if (running) {
+      lines.push(`▶️ 执行中：${running.prompt}...（${Math.round((Date.now() - running.startTime) / 1000)} 秒）`);
+    }
+    lines.push(...queue.map((t, i) => `#${i + 1} [${getMode(t.mode).label}] ${t.prompt.substring(0, 50)}`));
+    if (lines.length === 0) {
+      await sendMessage(chatId, '当前没有执行中或排队的任务', 'text', replyToMessageId);
+    } else {
+      await sendMessage(chatId, `📋 任务队列（策略：${config.queuePolicy}）\n\n${lines.join('\n')}${queue.length > 0 ? '\n\n发送 /cancel <序号> 取消排队任务' : ''}`, 'text', replyToMessageId);
+    }
+    return;
+  }
+  
+  // Cancel 命令 - 取消排队中的任务
+  if (text.startsWith('/cancel')) {
+    if (!await ensurePermission(access, 'chat')) return;
+    const match = text.match(/\/cancel\s+#?(\d+)/);
+    if (!match) {
+      await sendMessage(chatId, '用法：/cancel <序号>\n\n发送 /queue 查看排队任务的序号', 'text', replyToMessageId);
+      return;
+    }
+    const task = cancelQueuedTask(threadKey, parseInt(match[1], 10));
+    if (!task) {
+      await sendMessage(chatId, `没有序号为 ${match[1]} 的排队任务`, 'text', replyToMessageId);
+      return;
+    }
+    if (task.queueCardId) {
+      await updateMarkdownCard(task.queueCardId, task.prompt.substring(0, 200), '🚫 已取消', 'grey');
+    }
+    await sendMessage(chatId, `🗑️ 已取消排队任务：${task.prompt.substring(0, 50)}`, 'text', replyToMessageId);
+    return;
+  }
+  
+  // Ws 命令 - 查看/切换工作区
+  if (text.startsWith('/ws') || text === '工作区') {
+    if (!await ensurePermission(access, 'chat')) return;
+    const [, sub = 'list', name] = text.trim().split(/\s+/);
+    
+    if (sub === 'use') {
+      if (activeTasks.has(threadKey) || busyThreads.has(threadKey)) {
+        await sendMessage(chatId, '⚠️ 当前话题有任务正在执行，请等待完成或 /stop 后再切换工作区', 'text', replyToMessageId);
+        return;
+      }
+      const target = name && workspaces.bind(threadKey, name);
+      if (!target) {
+        await sendMessage(chatId, `工作区 "${name || ''}" 不存在\n\n可用工作区：${workspaces.list().map(w => w.name).join('、')}`, 'text', replyToMessageId);
+        return;
+      }
+      const hasSession = !!sessionStore.peek(workspaceSessionKey(threadKey, target.name));
+      console.log(`[工作区] ${threadKey} 切换到 ${target.name}`);
+      await sendMessage(chatId, `📂 已切换到工作区：${target.name}\n路径：${target.path}\n\n${hasSession ? '将继续该工作区之前的会话' : '下次提问将在该工作区开始新会话'}`, 'text', replyToMessageId);
+      return;
+    }
+    
+    if (sub === 'info') {
+      const session = sessionStore.peek(sessionKey);
+      const envKeys = Object.keys(workspace.env);
+      const info = [
+        `名称：${workspace.name}${workspace.name === workspaces.defaultName ? '（默认）' : ''}`,
+        `路径：${workspace.path}`,
+        usesWorktree(workspace) ? `worktree：${worktrees.get(sessionKey) ? `${worktrees.get(sessionKey).branch}（${workDir}）` : '首次执行任务时创建'}` : null,
+        workspace.description ? `说明：${workspace.description}` : null,
+        `默认模式：${getMode(workspace.mode || 'agent').label}`,
+        envKeys.length > 0 ? `环境变量：${envKeys.join(', ')}` : null,
+        `会话：${session ? `${session.conversationId.substring(0, 20)}...（${session.turns || 1} 轮）` : '无'}`,
+      ].filter(Boolean).join('\n');
+      await sendMessage(chatId, `📂 当前工作区\n\n${info}`, 'text', replyToMessageId);
+      return;
+    }
+    
+    const list = workspaces.list().map((w) => {
+      const marker = w.name === workspace.name ? '👉 ' : '   ';
+      const tags = [w.name === workspaces.defaultName ? '默认' : null, w.mode ? `${getMode(w.mode).label}模式` : null].filter(Boolean);
+      return `${marker}${w.name}${tags.length ? `（${tags.join('，')}）` : ''}\n      ${w.path}`;
+    }).join('\n');
+    await sendMessage(chatId, `📂 工作区列表\n\n${list}\n\n/ws use <名称> 切换当前话题的工作区\n/ws info 查看当前工作区详情`, 'text', replyToMessageId);
+    return;
+  }
+  
+  // Backend 命令 - 查看/切换 Agent 后端
+  if (text.startsWith('/backend') || text === '后端') {
+    if (!await ensurePermission(access, 'chat')) return;
+    const args = text.trim().split(/\s+/).slice(1);
+    const forWorkspace = args.includes('--ws');
+    const [name] = args.filter(arg => arg !== '--ws');
+    const scopeLabel = forWorkspace ? `工作区 ${workspace.name}` : '本聊天';
+    
+    // 工作区设置影响绑定该工作区的所有聊天和话题，只有管理员可以修改
+    if (forWorkspace && name && resolveRole(accessPolicy, { openId: senderId, chatId }) !== 'admin') {
+      console.log(`[审计] 拒绝修改工作区后端: ${senderId} ${workspace.name} -> ${name}`);
+      await sendMessage(chatId, '🔒 只有管理员可以使用 --ws 修改工作区的后端', 'text', replyToMessageId);
+      return;
+    }
+    
+    if (name === 'reset') {
+      if (forWorkspace) {
+        backendChoices.setWorkspace(workspace.name, null);
+      } else {
+        backendChoices.setChat(chatId, null);
+      }
+      console.log(`[后端] 清除${scopeLabel}的后端设置`);
+      await sendMessage(chatId, `🔌 已清除${scopeLabel}的后端设置，当前使用：${resolveBackend(chatId, workspace).label}`, 'text', replyToMessageId);
+      return;
+    }
+    
+    if (name) {
+      if (!backends.has(name)) {
+        await sendMessage(chatId, `后端 "${name}" 不存在\n\n可用后端：${backends.list().map(b => b.name).join('、')}`, 'text', replyToMessageId);
+        return;
+      }
+      if (forWorkspace) {
+        backendChoices.setWorkspace(workspace.name, name);
+      } else {
+        backendChoices.setChat(chatId, name);
+      }
+      const target = backends.get(name);
+      const effective = resolveBackend(chatId, workspace);
+      console.log(`[后端] ${scopeLabel}切换到 ${name}`);
+      await sendMessage(chatId, [
+        `🔌 ${scopeLabel}已切换到后端：${target.label}`,
+        // 工作区设置会被本聊天的设置覆盖
+        effective.name !== name ? `⚠️ 本聊天已单独指定 ${effective.label}，/backend reset 后生效` : null,
+        '切换后端后将开始新会话，之前的会话在切回原后端时仍可继续',
+      ].filter(Boolean).join('\n'), 'text', replyToMessageId);
+      return;
     }
+    
+    const current = resolveBackend(chatId, workspace);
+    const chatChoice = backendChoices.getChat(chatId);
+    const workspaceChoice = backendChoices.getWorkspace(workspace.name) || workspace.backend;
+    const source = chatChoice ? '本聊天指定' : workspaceChoice ? `工作区 ${workspace.name} 指定` : '默认';
+    const list = backends.list().map((b) => {
+      const marker = b.name === current.name ? '👉 ' : '   ';
+      const tags = [b.name === config.backend ? '默认' : null].filter(Boolean);
+      return `${marker}${b.name} - ${b.label}${tags.length ? `（${tags.join('，')}）` : ''}\n      ${b.description}`;
+    }).join('\n');
+    await sendMessage(chatId, `🔌 当前后端：${current.label}（${source}）\n\n${list}\n\n/backend <名称> 切换本聊天的后端\n/backend <名称> --ws 设置当前工作区的后端（管理员）\n/backend reset [--ws] 恢复默认`, 'text', replyToMessageId);
+    return;
   }
-}
-
-// ========== 处理消息事件 ==========
-async function handleMessage(event) {
-  const message = event.message;
-  const messageId = message.message_id;
-  const chatId = message.chat_id;
-  const msgType = message.message_type;
-  const createTime = parseInt(message.create_time); // 消息创建时间（毫秒时间戳）
   
-  // 话题支持：提取话题根消息 ID
-  const rootId = message.root_id || null;
-  const parentId = message.parent_id || null;
-  
-  // 如果消息在话题中，使用消息 ID 作为回复目标（回复会自动归入同一话题）
-  const replyToMessageId = rootId ? messageId : null;
-  
-  // 会话/任务的唯一标识：话题用 chatId:rootId，普通聊天用 chatId
-  const threadKey = rootId ? `${chatId}:${rootId}` : chatId;
-  
-  if (rootId) {
-    console.log(`[话题] 检测到话题消息, rootId: ${rootId}, parentId: ${parentId}`);
+  // Branch 命令 - 查看当前话题的 worktree
+  if (text.startsWith('/branch')) {
+    if (!await ensurePermission(access, 'chat')) return;
+    if (!usesWorktree(workspace)) {
+      await sendMessage(chatId, `工作区 ${workspace.name} 未启用 worktree 隔离，任务直接在 ${workspace.path} 中执行`, 'text', replyToMessageId);
+      return;
+    }
+    try {
+      const status = await worktrees.status(sessionKey);
+      if (!status) {
+        await sendMessage(chatId, '当前话题还没有 worktree，首次执行任务时会自动创建', 'text', replyToMessageId);
+        return;
+      }
+      const changes = status.changes.slice(0, 20).map(line => `  ${line}`);
+      if (status.changes.length > 20) changes.push(`  … 另有 ${status.changes.length - 20} 项`);
+      const info = [
+        `分支：${status.branch}`,
+        `基于：${status.baseBranch}（${status.baseCommit.substring(0, 8)}）`,
+        `路径：${status.path}`,
+        `已提交：${status.ahead} 个提交`,
+        `未提交变更：${status.changes.length} 项`,
+        ...changes,
+      ].join('\n');
+      await sendMessage(chatId, `🌿 当前话题的 worktree\n\n${info}\n\n/merge [提交说明] 合并回 ${status.baseBranch}，/discard 丢弃`, 'text', replyToMessageId);
+    } catch (error) {
+      await sendMessage(chatId, `❌ 查看 worktree 失败：${error.message}`, 'text', replyToMessageId);
+    }
+    return;
   }
   
-  // 过滤历史消息：只处理服务启动后的消息
-  if (createTime < SERVICE_START_TIME) {
-    console.log(`[跳过] 历史消息，创建时间: ${new Date(createTime).toLocaleString()}, 服务启动: ${new Date(SERVICE_START_TIME).toLocaleString()}`);
+  // Merge / Discard 命令 - 合并或丢弃当前话题的 worktree
+  if (text.startsWith('/merge') || text.startsWith('/discard')) {
+    if (!await ensurePermission(access, 'agent')) return;
+    if (!usesWorktree(workspace) || !worktrees.get(sessionKey)) {
+      await sendMessage(chatId, '当前话题没有 worktree', 'text', replyToMessageId);
+      return;
+    }
+    if (activeTasks.has(threadKey) || busyThreads.has(threadKey)) {
+      await sendMessage(chatId, '⚠️ 当前话题有任务正在执行，请等待完成或 /stop 后再操作', 'text', replyToMessageId);
+      return;
+    }
+    try {
+      if (text.startsWith('/discard')) {
+        const { branch } = worktrees.get(sessionKey);
+        await worktrees.discard(sessionKey);
+        console.log(`[Worktree] ${threadKey} 丢弃了 ${branch}`);
+        await sendMessage(chatId, `🗑️ 已丢弃 worktree 和分支 ${branch}\n\n下次执行任务时将从最新代码重新创建`, 'text', replyToMessageId);
+        return;
+      }
+      const message = text.replace(/^\/merge\s*/, '').trim() || `飞书任务变更（${threadKey}）`;
+      const result = await worktrees.merge(sessionKey, message);
+      console.log(`[Worktree] ${threadKey} 合并结果: ${JSON.stringify(result)}`);
+      await sendMessage(chatId, result.merged
+        ? `✅ 已将 ${result.commits} 个提交合并到 ${result.baseBranch}，worktree 已清理`
+        : '没有需要合并的变更，worktree 已清理', 'text', replyToMessageId);
+    } catch (error) {
+      await sendMessage(chatId, `❌ ${error.message}`, 'text', replyToMessageId);
+    }
     return;
   }
   
-  // 消息去重：防止飞书重试机制导致重复处理
-  if (isMessageProcessed(messageId)) {
+  // Cron 命令 - 管理定时任务
+  if (text.startsWith('/cron')) {
+    const args = text.replace(/^\/cron\s*/, '').trim();
+    const formatTime = (date) => date ? date.toLocaleString() : '无';
+    
+    if (args.startsWith('add')) {
+      const match = args.match(/^add\s+["“']([^"”']+)["”']\s+(?:--session\s+([\w-]+)\s+)?([\s\S]+)$/);
+      if (!match) {
+        await sendMessage(chatId, '用法：/cron add "<cron 表达式>" [--session <名称>] <提示词>\n\n例：/cron add "0 2 * * *" 运行测试并总结失败原因\n表达式为 5 段：分 时 日 月 周，也可用 @hourly / @daily / @weekly', 'text', replyToMessageId);
+        return;
+      }
+      const [, expr, session, rawPrompt] = match;
+      const { mode, prompt } = parseMessage(rawPrompt, workspace.mode || 'agent');
+      if (!await ensurePermission(access, mode)) return;
+      try {
+        const job = scheduler.add({
+          expr,
+          prompt,
+          mode,
+          session: session || null,
+          chatId,
+          threadKey,
+          replyToMessageId,
+          workspace: workspace.name,
+          creator: senderId,
+        });
+        console.log(`[定时任务] ${senderId} 添加 ${job.id}: "${job.expr}" ${prompt.substring(0, 50)}`);
+        await sendMessage(chatId, `⏰ 已添加定时任务 ${job.id}\n\n表达式：${job.expr}\n下次执行：${formatTime(nextRunTime(job.expr))}\n模式：${getMode(mode).label}\n会话：${session ? `命名会话 ${session}` : '每次新会话'}\n工作区：${workspace.name}`, 'text', replyToMessageId);
+      } catch (error) {
+        await sendMessage(chatId, `❌ ${error.message}`, 'text', replyToMessageId);
+      }
+      return;
+    }
+    
+    if (args.startsWith('rm')) {
+      const id = args.replace(/^rm\s*/, '').trim();
+      const job = scheduler.get(id);
+      if (!job || job.chatId !== chatId) {
+        await sendMessage(chatId, `本聊天没有 ID 为 ${id || '（空）'} 的定时任务\n\n发送 /cron list 查看`, 'text', replyToMessageId);
+        return;
+      }
+      if (!await ensurePermission(access, job.mode)) return;
+      scheduler.remove(id);
+      console.log(`[定时任务] ${senderId} 删除 ${id}`);
+      await sendMessage(chatId, `🗑️ 已删除定时任务 ${id}：${job.prompt.substring(0, 50)}`, 'text', replyToMessageId);
+      return;
+    }
+    
+    if (args.startsWith('enable')) {
+      const id = args.replace(/^enable\s*/, '').trim();
+      const job = scheduler.get(id);
+      if (!job || job.chatId !== chatId) {
+        await sendMessage(chatId, `本聊天没有 ID 为 ${id || '（空）'} 的定时任务\n\n发送 /cron list 查看`, 'text', replyToMessageId);
+        return;
+      }
+      if (!await ensurePermission(access, job.mode)) return;
+      if (!job.disabled) {
+        await sendMessage(chatId, `定时任务 ${id} 未停用，无需启用`, 'text', replyToMessageId);
+        return;
+      }
+      // 任务以创建者的身份执行，与每次执行前相同，检查创建者当前是否仍有权限
+      const { allowed, role } = checkPermission(accessPolicy, { openId: job.creator, chatId: job.chatId }, job.mode);
+      if (!allowed) {
+        console.log(`[审计] ${senderId} 启用定时任务 ${id} 被拒绝：创建者 ${job.creator} 角色 ${role} 无 ${job.mode} 权限`);
+        await sendMessage(chatId, `⛔ 无法启用定时任务 ${id}：创建者（${ROLE_NAMES[role] || role}）仍无「${PERMISSIONS[job.mode]}」权限\n\n可 /cron rm ${id} 删除后由有权限的成员重新添加`, 'text', replyToMessageId);
+        return;
+      }
+      scheduler.enable(id);
+      console.log(`[定时任务] ${senderId} 启用 ${id}`);
+      await sendMessage(chatId, `✅ 已启用定时任务 ${id}\n\n下次执行：${formatTime(nextRunTime(job.expr))}`, 'text', replyToMessageId);
+      return;
+    }
+    
+    if (!await ensurePermission(access, 'chat')) return;
+    const jobs = scheduler.list(job => job.chatId === chatId);
+    if (jobs.length === 0) {
+      await sendMessage(chatId, '本聊天没有定时任务\n\n用法：/cron add "<cron 表达式>" <提示词>', 'text', replyToMessageId);
+      return;
+    }
+    const lines = jobs.map(job => [
+      `${job.id}  ${job.expr}  ${getMode(job.mode).icon} ${job.prompt.substring(0, 50)}`,
+      job.disabled
+        ? `      已停用：${job.disabled.reason}，已执行 ${job.runs || 0} 次`
+        : `      下次：${formatTime(nextRunTime(job.expr))}，已执行 ${job.runs || 0} 次${job.session ? `，会话 ${job.session}` : ''}`,
+    ].join('\n'));
+    await sendMessage(chatId, `⏰ 定时任务（${jobs.length}）\n\n${lines.join('\n')}\n\n/cron rm <ID> 删除任务${jobs.some(job => job.disabled) ? '，/cron enable <ID> 重新启用已停用的任务' : ''}`, 'text', replyToMessageId);
     return;
   }
   
-  // 只处理文本和富文本消息，其他类型（图片、文件、系统通知等）静默忽略
-  if (msgType !== 'text' && msgType !== 'post') {
-    console.log(`[跳过] 不支持的消息类型: ${msgType}, messageId: ${messageId}`);
+  // Status 命令 - 服务状态（与 GET /ready 相同的检查）和各聊天的任务
+  if (text === '/status' || text === '状态') {
+    if (!await ensurePermission(access, 'chat')) return;
+    const report = await healthChecker.run();
+    const checkLines = report.checks.map(c => `${c.ok ? '✅' : c.critical ? '❌' : '⚠️'} **${c.label}**：${c.detail}`);
+    
+    // 按聊天汇总执行中和排队的任务（threadKey 为 chatId 或 chatId:rootId）
+    const chats = new Map(); // chatId -> { running: [], queued: 0 }
+    const chatEntry = (key) => {
+      const id = key.split(':')[0];
+      if (!chats.has(id)) chats.set(id, { running: [], queued: 0 });
+      return chats.get(id);
+    };
+    for (const [key, running] of activeTasks) {
+      chatEntry(key).running.push(running);
+    }
+    for (const [key, queue] of taskQueues) {
+      chatEntry(key).queued += queue.length;
+    }
+    // 其他聊天只显示数量，不显示提示词
+    const taskLines = [...chats].map(([id, info]) => {
+      const details = id === chatId
+        ? info.running.map(r => `\n　▶️ ${r.prompt}...（${Math.round((Date.now() - r.startTime) / 1000)} 秒）`).join('')
+        : '';
+      return `- ${id === chatId ? '本聊天' : id}：执行中 ${info.running.length}，排队 ${info.queued}${details}`;
+    });
+    
+    const uptimeMinutes = Math.round((Date.now() - SERVICE_START_TIME) / 60000);
+    const content = [
+      checkLines.join('\n'),
+      '---',
+      `**运行时间**：${uptimeMinutes >= 60 ? `${Math.floor(uptimeMinutes / 60)} 小时 ${uptimeMinutes % 60} 分钟` : `${uptimeMinutes} 分钟`}，**活跃会话**：${sessionStore.size}`,
+      `**任务**：${taskLines.length > 0 ? `\n${taskLines.join('\n')}` : '当前没有执行中或排队的任务'}`,
+    ].join('\n\n');
+    const titles = { ok: ['🩺 服务状态：正常', 'green'], degraded: ['🩺 服务状态：降级', 'orange'], unavailable: ['🩺 服务状态：不可用', 'red'] };
+    const [title, template] = titles[report.status];
+    await sendMarkdownCard(chatId, content, title, template, replyToMessageId);
     return;
   }
   
-  // 群聊中必须 @ 机器人才响应，私聊则直接响应
-  const chatType = message.chat_type;
-  if (chatType === 'group') {
-    const mentions = message.mentions;
-    // 检查是否明确 @ 了机器人（而不是 @ 了其他人）
-    const isBotMentioned = mentions && mentions.some(m => {
-      const mentionId = m?.id?.open_id || m?.id?.union_id || m?.id;
-      return mentionId === botOpenId;
-    });
-    if (!isBotMentioned) {
-      console.log(`[跳过] 群聊消息未 @ 机器人，忽略: ${messageId} (mentions: ${JSON.stringify(mentions?.map(m => m?.name || m?.id))})`);
+  // History 命令 - 查看本聊天最近的任务
+  if (text.startsWith('/history') || text === '历史') {
+    if (!await ensurePermission(access, 'chat')) return;
+    const match = text.match(/\/history\s+(\d+)/);
+    const count = Math.min(match ? parseInt(match[1], 10) : 10, 50);
+    const entries = taskHistory.list(entry => entry.chatId === chatId, count);
+    if (entries.length === 0) {
+      await sendMessage(chatId, '本聊天还没有任务记录', 'text', replyToMessageId);
       return;
     }
+    const lines = entries.map((entry) => {
+      const duration = entry.finishedAt ? `耗时 ${Math.max(1, Math.round((entry.finishedAt - entry.startedAt) / 1000))} 秒` : '未结束';
+      return [
+        `${entry.id}  ${HISTORY_STATUS[entry.status] || entry.status}  ${getMode(entry.mode).icon} ${entry.prompt.substring(0, 50)}`,
+        `      ${new Date(entry.startedAt).toLocaleString()}，${duration}${entry.files.length > 0 ? `，发送文件 ${entry.files.length} 个` : ''}`,
+      ].join('\n');
+    });
+    await sendMessage(chatId, `📜 最近 ${entries.length} 个任务\n\n${lines.join('\n')}\n\n/show <ID> 查看结果，/rerun <ID> 重新执行`, 'text', replyToMessageId);
+    return;
   }
   
-  // 解析消息内容
-  const content = JSON.parse(message.content);
-  let text = '';
-  
-  if (msgType === 'text') {
-    // 纯文本消息
-    text = content.text || '';
-  } else if (msgType === 'post') {
-    // 富文本消息：提取所有文本内容
-    text = extractTextFromPost(content);
-    console.log(`[Post] 从富文本提取的文本: ${text.substring(0, 200)}...`);
+  // Show / Rerun 命令 - 重新发送历史任务的结果卡片，或用相同的提示词重新执行
+  if (text.startsWith('/show') || text.startsWith('/rerun')) {
+    const rerun = text.startsWith('/rerun');
+    const id = text.replace(/^\/(show|rerun)\s*/, '').trim();
+    const entry = id ? taskHistory.get(id) : null;
+    // 只能查看本聊天的任务
+    if (!entry || entry.chatId !== chatId) {
+      await sendMessage(chatId, `本聊天没有 ID 为 ${id || '（空）'} 的任务\n\n发送 /history 查看最近的任务`, 'text', replyToMessageId);
+      return;
+    }
+    
+    if (rerun) {
+      if (!await ensurePermission(access, entry.mode)) return;
+      // 原工作区已删除时在当前工作区执行
+      const target = workspaces.get(entry.workspace) || workspace;
+      console.log(`[历史] ${senderId} 重新执行任务 ${entry.id}`);
+      await submitTask({
+        id: createTaskId(),
+        chatId,
+        threadKey,
+        replyToMessageId,
+        senderId,
+        mode: entry.mode,
+        prompt: entry.prompt,
+        workspace: target.name,
+        sessionKey: workspaceSessionKey(threadKey, target.name),
+      });
+      return;
+    }
+    
+    if (!await ensurePermission(access, 'chat')) return;
+    const formatTime = (time) => time ? new Date(time).toLocaleString() : '未结束';
+    const info = [
+      `**提示词**：${entry.prompt.length > 500 ? `${entry.prompt.substring(0, 500)}…` : entry.prompt}`,
+      `**模式**：${getMode(entry.mode).label}，**工作区**：${entry.workspace || '默认'}，**后端**：${backends.get(entry.backend || 'cursor').label}`,
+      `**开始**：${formatTime(entry.startedAt)}，**结束**：${formatTime(entry.finishedAt)}，**退出码**：${entry.exitCode ?? '无'}`,
+      entry.conversationId && `**会话 ID**：${entry.conversationId}`,
+      entry.files.length > 0 && `**发送的文件**：${entry.files.join('、')}`,
+      entry.error && `**错误**：${entry.error}`,
+    ].filter(Boolean).join('\n');
+    const title = `📜 ${entry.title || `${getMode(entry.mode).label}任务`}（${entry.id}）`;
+    const result = await taskHistory.getResult(entry.id);
+    await updateMarkdownCardPaged(null, chatId, replyToMessageId, result || `（没有结果，状态：${HISTORY_STATUS[entry.status] || entry.status}）`, title, entry.template || 'grey', {
+      panels: [{ title: 'ℹ️ **任务信息**', content: info }],
+    });
+    return;
   }
   
-  console.log(`[收到消息] ${text} (ID: ${messageId}, threadKey: ${threadKey})`);
-  
-  // Stop 命令 - 终止当前任务
-  if (text.includes('/stop') || text === '停止' || text === '终止') {
-    const result = stopTask(threadKey);
-    if (result.stopped) {
-      await sendMessage(chatId, `⏹️ 已终止任务\n\n任务：${result.prompt}...\n运行时长：${result.duration} 秒`, 'text', replyToMessageId);
+  // Timeout 命令 - 查看/设置当前聊天的任务超时时间
+  if (text.startsWith('/timeout')) {
+    if (!await ensurePermission(access, 'chat')) return;
+    const arg = text.replace(/^\/timeout\s*/, '').trim();
+    if (arg === 'reset') {
+      chatTimeouts.delete(chatId);
+      await sendMessage(chatId, `⏱️ 已恢复默认超时时间：${Math.round(config.timeout / 60000)} 分钟`, 'text', replyToMessageId);
+    } else if (/^\d+$/.test(arg) && parseInt(arg, 10) > 0) {
+      // 不超过单个任务的最长运行时间
+      const maxMinutes = Math.floor(config.timeoutMax / 60000);
+      const minutes = Math.min(parseInt(arg, 10), maxMinutes);
+      chatTimeouts.set(chatId, minutes * 60000);
+      const limited = minutes < parseInt(arg, 10) ? `（最长 ${maxMinutes} 分钟，可通过 CURSOR_TIMEOUT_MAX 调整）` : '';
+      await sendMessage(chatId, `⏱️ 当前聊天的任务超时时间已设置为 ${minutes} 分钟${limited}`, 'text', replyToMessageId);
     } else {
-      await sendMessage(chatId, '当前没有正在执行的任务', 'text', replyToMessageId);
+      const lines = ['agent', 'ask', 'plan'].map(m => `${getMode(m).label}模式：${Math.round(getTaskTimeout(m, chatId) / 60000)} 分钟`);
+      lines.push(`最长运行时间（含 /extend 延长）：${Math.round(config.timeoutMax / 60000)} 分钟`);
+      await sendMessage(chatId, `⏱️ 当前任务超时时间\n\n${lines.join('\n')}\n\n用法：/timeout <分钟> 设置，/timeout reset 恢复默认`, 'text', replyToMessageId);
+    }
+    return;
+  }
+  
+  // PR 命令 - 把当前话题的变更提交到新分支并创建 PR
+  if (/^\/pr(\s|$)/.test(text)) {
+    if (!await ensurePermission(access, 'agent')) return;
+    if (activeTasks.has(threadKey) || busyThreads.has(threadKey)) {
+      await sendMessage(chatId, '⚠️ 当前话题有任务正在执行，请等待完成后再创建 PR', 'text', replyToMessageId);
+      return;
+    }
+    
+    // 只提交话题自己 worktree 中的变更；共用工作目录时无法区分哪些变更属于本话题
+    const worktree = usesWorktree(workspace) ? worktrees.get(sessionKey) : null;
+    if (!worktree) {
+      await sendMessage(chatId, usesWorktree(workspace)
+        ? '当前话题还没有 worktree，请先执行任务产生变更后再创建 PR'
+        : `工作区 ${workspace.name} 未启用 worktree 隔离，工作目录中的变更无法区分来自哪个话题，不能创建 PR\n\n请设置 WORKTREE_ISOLATION=true 或在工作区配置中加 "isolation": "worktree"`, 'text', replyToMessageId);
+      return;
+    }
+    
+    // 提交说明取自任务历史中本话题在该 worktree 内的对话：标题默认为最近一次任务的提示词
+    const firstLine = (prompt, max) => prompt.trim().split('\n')[0].substring(0, max);
+    const threadTasks = taskHistory.list(
+      entry => entry.threadKey === threadKey && entry.workspace === workspace.name && entry.startedAt >= worktree.createdAt,
+      10,
+    ).reverse();
+    const lastTask = threadTasks[threadTasks.length - 1];
+    const title = text.replace(/^\/pr\s*/, '').trim() || (lastTask ? firstLine(lastTask.prompt, 72) : `飞书任务变更（${workspace.name}）`);
+    const body = threadTasks.length > 0
+      ? ['由飞书机器人根据以下对话生成：', '', ...threadTasks.map(t => `- ${firstLine(t.prompt, 100)}`)].join('\n')
+      : '由飞书机器人生成';
+    
+    await sendMessage(chatId, '🔀 正在提交变更并推送...', 'text', replyToMessageId);
+    try {
+      const result = await openPullRequest({
+        cwd: workDir,
+        title,
+        body,
+        branch: `${config.pr.branchPrefix}/${createTaskId()}`,
+        base: config.pr.baseBranch || worktree.baseBranch,
+        remote: config.pr.remote,
+        provider: prProvider,
+      });
+      if (!result) {
+        await sendMessage(chatId, '当前工作目录没有未提交的变更，无需创建 PR', 'text', replyToMessageId);
+        return;
+      }
+      const fileLines = result.files.slice(0, 20).map(f => `- \`${f.path}\``);
+      if (result.files.length > 20) fileLines.push(`- … 另有 ${result.files.length - 20} 个文件`);
+      const content = [
+        result.pullRequest ? `**[${title}](${result.pullRequest.url})**` : `**${title}**`,
+        `分支：\`${result.branch}\` → \`${result.base}\``,
+        `提交：\`${result.commit.substring(0, 8)}\`（${result.files.length} 个文件，+${result.added} −${result.removed}）`,
+        '',
+        ...fileLines,
+        result.pullRequest ? '' : '\n未配置 PR_PROVIDER，已推送分支，请在代码托管平台手动创建 PR',
+      ].join('\n').trim();
+      await sendMarkdownCard(chatId, content, result.pullRequest ? `🔀 已创建 ${prProvider.name} PR #${result.pullRequest.number}` : '🔀 已推送分支', 'green', replyToMessageId);
+    } catch (error) {
+      console.error('[PR] 创建失败:', error.message);
+      await sendMessage(chatId, `❌ 创建 PR 失败：${error.message}`, 'text', replyToMessageId);
     }
     return;
   }
   
   // New 命令 - 开始新会话
   if (text.includes('/new') || text === '新会话' || text === '新对话') {
-    const hadSession = clearSession(threadKey);
+    if (!await ensurePermission(access, 'chat')) return;
+    const hadSession = clearSession(sessionKey);
     if (hadSession) {
       await sendMessage(chatId, '🔄 已清除当前会话，下次提问将开始新的对话', 'text', replyToMessageId);
     } else {
@@ -1211,7 +2965,9 @@ async function handleMessage(event) {
   
   // Session 命令 - 查看当前会话状态
   if (text.includes('/session') || text === '会话状态') {
-    const session = getSession(threadKey);
+    if (!await ensurePermission(access, 'chat')) return;
+    // 只读查看，不刷新活跃时间
+    const session = sessionStore.peek(sessionKey);
     if (session) {
       const activeMs = Date.now() - session.lastActiveTime;
       const remainMs = SESSION_TTL - activeMs;
@@ -1225,7 +2981,16 @@ async function handleMessage(event) {
         }
         return `${minutes} 分钟`;
       };
-      await sendMessage(chatId, `📝 当前会话状态\n\n会话ID: ${session.conversationId.substring(0, 20)}...\n上次活跃: ${formatTime(activeMs)}前\n剩余时间: ${formatTime(remainMs)}\n\n发送 /new 可开始新会话`, 'text', replyToMessageId);
+      const details = [
+        `会话ID: ${session.conversationId.substring(0, 20)}...`,
+        session.creator ? `创建者: ${session.creator}` : null,
+        session.createdAt ? `创建于: ${formatTime(Date.now() - session.createdAt)}前` : null,
+        session.mode ? `最近模式: ${getMode(session.mode).label}` : null,
+        `对话轮数: ${session.turns || 1}`,
+        `上次活跃: ${formatTime(activeMs)}前`,
+        `剩余时间: ${formatTime(remainMs)}`,
+      ].filter(Boolean).join('\n');
+      await sendMessage(chatId, `📝 当前会话状态\n\n${details}\n\n发送 /new 可开始新会话`, 'text', replyToMessageId);
     } else {
       await sendMessage(chatId, '当前没有活跃的会话，下次提问将开始新对话', 'text', replyToMessageId);
     }
@@ -1247,12 +3012,14 @@ async function handleMessage(event) {
 ━━━━━━━━━━━━━━━━━━━━━━
 /ask 你的问题
 或：问：你的问题
+只读取代码回答问题，不会修改文件或执行命令
 
 ━━━━━━━━━━━━━━━━━━━━━━
-📋 规划模式
+📋 规划模式（只读）
 ━━━━━━━━━━━━━━━━━━━━━━
 /plan 你的任务
 或：规划：你的任务
+只输出实施计划文档，不修改文件或执行命令
 
 ━━━━━━━━━━━━━━━━━━━━━━
 💬 会话管理
@@ -1267,22 +3034,40 @@ async function handleMessage(event) {
 🛠️ 控制命令
 ━━━━━━━━━━━━━━━━━━━━━━
 /stop - 终止当前正在执行的任务
+/queue - 查看当前话题的排队任务
+/cancel <序号> - 取消排队中的任务
+/status - 查看服务状态和各聊天的任务
+/history [n] - 查看本聊天最近的任务
+/show <ID> - 重新发送历史任务的结果
+/rerun <ID> - 用相同的提示词重新执行
+/extend [分钟] - 延长当前任务的超时期限（不超过最长运行时间）
+/timeout [分钟|reset] - 查看/设置本聊天的任务超时时间（不超过最长运行时间）
+/cron add "<表达式>" [--session <名称>] <提示词> - 添加定时任务
+/cron list | /cron rm <ID> | /cron enable <ID> - 查看/删除/重新启用定时任务
 /screenshot - 截取屏幕并发送
 /photo - 摄像头拍照并发送
-/log [行数] - 查看日志（默认10行）
+/log [行数] [--level 级别] [--task ID] [--grep 文本] [--since 2h] - 查看日志（默认10行）
 /help - 显示此帮助信息
 
 ━━━━━━━━━━━━━━━━━━━━━━
 📂 文件操作
 ━━━━━━━━━━━━━━━━━━━━━━
 /ls [关键词] - 列出工作目录文件
-/file <路径> - 发送指定文件到飞书
+/ws [list|use <名称>|info] - 查看/切换工作区
+/backend [名称|reset] [--ws] - 查看/切换 Agent 后端（--ws 需管理员）
+/branch - 查看当前话题的 worktree 分支
+/merge [提交说明] - 将 worktree 的变更合并回原分支
+/discard - 丢弃当前话题的 worktree 和分支
+/pr [标题] - 提交当前 worktree 的变更到新分支并创建 PR
+/file <路径> - 发送工作目录中的文件到飞书
 例: /file src/index.js
 
 ━━━━━━━━━━━━━━━━━━━━━━
 ⚙️ 当前配置
 ━━━━━━━━━━━━━━━━━━━━━━
-工作目录：${config.workDir}`;
+当前工作区：${workspace.name}（${workspace.path}）
+当前后端：${resolveBackend(chatId, workspace).label}
+你的角色：${(role => ROLE_NAMES[role] || role)(resolveRole(accessPolicy, { openId: senderId, chatId }))}`;
     
     await sendMessage(chatId, helpText, 'text', replyToMessageId);
     return;
@@ -1290,6 +3075,7 @@ async function handleMessage(event) {
   
   // Photo 命令 - 拍照并发送
   if (text.includes('/photo') || text === '拍照' || text === '拍个照') {
+    if (!await ensurePermission(access, 'photo')) return;
     await sendMessage(chatId, '📷 正在从摄像头拍照...', 'text', replyToMessageId);
     try {
       await captureAndSendPhoto(chatId, replyToMessageId);
@@ -1301,6 +3087,7 @@ async function handleMessage(event) {
   
   // Screenshot 命令 - 截图并发送
   if (text.includes('/screenshot') || text === '截图' || text === '截屏') {
+    if (!await ensurePermission(access, 'screenshot')) return;
     await sendMessage(chatId, '📸 正在截取屏幕...', 'text', replyToMessageId);
     try {
       await captureAndSendScreenshot(chatId, replyToMessageId);
@@ -1312,35 +3099,73 @@ async function handleMessage(event) {
   
   // Log 命令 - 查看日志
   if (text.startsWith('/log') || text === '日志') {
-    // 解析行数参数，默认 10 行
-    let lines = 10;
-    const match = text.match(/\/log\s+(\d+)/);
-    if (match) {
-      lines = parseInt(match[1], 10);
+    if (!await ensurePermission(access, 'log')) return;
+    // 解析参数：/log [行数] [--level warn] [--task <id>] [--grep <文本>] [--since 30m]
+    const args = text.replace(/^(\/log|日志)\s*/, '');
+    const optionPattern = /--(level|task|grep|since)\s+(?:"([^"]*)"|(\S+))/g;
+    const options = {};
+    for (const [, name, quoted, plain] of args.matchAll(optionPattern)) {
+      options[name] = quoted ?? plain;
+    }
+    const filter = { limit: 10 };
+    const countMatch = args.replace(optionPattern, '').match(/\b(\d+)\b/);
+    if (countMatch) {
       // 限制最大行数，防止消息过长
-      if (lines > 200) {
-        lines = 200;
+      filter.limit = Math.min(parseInt(countMatch[1], 10), 200);
+    }
+    const { level, since } = options;
+    if (level && !LEVELS.includes(level)) {
+      await sendMessage(chatId, `未知的日志级别: ${level}\n可选: ${LEVELS.join(' / ')}`, 'text', replyToMessageId);
+      return;
+    }
+    filter.level = level;
+    filter.taskId = options.task;
+    filter.grep = options.grep;
+    if (since) {
+      filter.since = parseSince(since);
+      if (!filter.since) {
+        await sendMessage(chatId, `无法识别的时间: ${since}\n示例: --since 30m、--since 2h、--since 1d、--since "2026-01-01 09:00"`, 'text', replyToMessageId);
+        return;
       }
     }
     
-    const logContent = readLogFile(lines);
+    const logContent = readLogFile(filter);
     await sendMessage(chatId, logContent, 'text', replyToMessageId);
     return;
   }
   
   // File 命令 - 发送文件
   if (text.startsWith('/file ') || text.startsWith('发送文件 ') || text.startsWith('发文件 ')) {
-    const filePath = text.replace(/^(\/file\s+|发送文件\s+|发文件\s+)/, '').trim();
+    if (!await ensurePermission(access, 'file')) return;
+    let filePath = text.replace(/^(\/file\s+|发送文件\s+|发文件\s+)/, '').trim();
+    // 管理员可用 --force 发送被判定为敏感的文件
+    const force = /^--force\s+/.test(filePath);
+    filePath = filePath.replace(/^--force\s+/, '');
     
     if (!filePath) {
       await sendMessage(chatId, '请指定文件路径\n\n用法: /file <文件路径>\n例如: /file src/index.js\n\n提示: 使用 /ls 命令查看可用文件', 'text', replyToMessageId);
       return;
     }
     
+    const isAdmin = resolveRole(accessPolicy, { openId: senderId, chatId }) === 'admin';
+    if (force && !isAdmin) {
+      await sendMessage(chatId, '🔒 只有管理员可以使用 --force 发送敏感文件', 'text', replyToMessageId);
+      return;
+    }
+    const checked = pathPolicy.check(filePath, { baseDir: workDir, allowSecrets: force });
+    if (!checked.allowed) {
+      console.log(`[审计] 拒绝发送文件: ${senderId} ${filePath} - ${checked.reason}`);
+      await sendMessage(chatId, `🚫 ${checked.reason}${isAdmin ? '\n\n管理员可使用 /file --force <路径> 强制发送敏感文件' : ''}`, 'text', replyToMessageId);
+      return;
+    }
+    if (force) {
+      console.log(`[审计] 管理员强制发送文件: ${senderId} ${checked.path}`);
+    }
+    
     await sendMessage(chatId, `📤 正在发送文件: ${filePath}`, 'text', replyToMessageId);
     
     try {
-      const result = await sendLocalFile(chatId, filePath, replyToMessageId);
+      const result = await sendLocalFile(chatId, checked.path, replyToMessageId, workDir);
       await sendMessage(chatId, `✅ 文件发送成功\n\n文件名: ${result.fileName}\n大小: ${formatFileSize(result.fileSize)}`, 'text', replyToMessageId);
     } catch (error) {
       await sendMessage(chatId, `❌ 文件发送失败: ${error.message}`, 'text', replyToMessageId);
@@ -1350,11 +3175,12 @@ async function handleMessage(event) {
   
   // Ls 命令 - 列出文件
   if (text.startsWith('/ls') || text === '文件列表' || text === '列出文件') {
+    if (!await ensurePermission(access, 'ls')) return;
     // 解析搜索参数
     const match = text.match(/^\/ls\s+(.+)/);
     const pattern = match ? match[1].trim() : '';
     
-    const files = listFiles(config.workDir, pattern);
+    const files = listFiles(workDir, pattern);
     
     if (files.length === 0) {
       await sendMessage(chatId, pattern 
@@ -1389,73 +3215,324 @@ async function handleMessage(event) {
   }
   
   // 解析消息
-  const { mode, prompt } = parseMessage(text);
+  const { mode, prompt } = parseMessage(text, workspace.mode || 'agent');
+  
+  // 下载富文本中内嵌的图片（单张失败不影响其他内容）
+  const downloadPostImages = async () => {
+    const downloaded = [];
+    for (const imageKey of postImageKeys) {
+      try {
+        downloaded.push(await downloadMessageResource(messageId, imageKey, 'image', '', workDir));
+      } catch (error) {
+        console.error('[收件箱] 图片下载失败:', error.message);
+        await sendMessage(chatId, `❌ 图片接收失败：${error.message}`, 'text', replyToMessageId);
+      }
+    }
+    return downloaded;
+  };
   
   if (!prompt) {
+    // 只有图片没有文字：暂存图片，等待文字说明
+    if (postImageKeys.length > 0) {
+      if (!await ensurePermission(access, 'chat')) return;
+      const images = await downloadPostImages();
+      if (images.length > 0) {
+        const pending = stashAttachments(threadKey, images);
+        await sendMessage(chatId, `📎 已收到 ${images.length} 张图片，请继续发送文字说明，当前暂存的 ${pending.length} 个附件会一并交给 AI`, 'text', replyToMessageId);
+      }
+      return;
+    }
     await sendMessage(chatId, '请输入您的问题或任务~', 'text', replyToMessageId);
     return;
   }
   
-  // 发送处理中提示
-  const modeNames = {
-    agent: '执行',
-    ask: '查询',
-    plan: '规划',
+  // 按模式校验权限（执行模式可修改代码，需单独授权）
+  if (!await ensurePermission(access, mode)) return;
+  
+  // 附件：话题中暂存的附件 + 本条消息内嵌的图片
+  const attachments = [...takePendingAttachments(threadKey), ...await downloadPostImages()];
+  if (attachments.length > 0) {
+    console.log(`[收件箱] 附加 ${attachments.length} 个附件到提示词`);
+  }
+  
+  // 提交任务（同一话题已有任务时按队列策略处理）
+  await submitTask({
+    id: createTaskId(),
+    chatId,
+    threadKey,
+    replyToMessageId,
+    senderId,
+    mode,
+    prompt: appendAttachmentsToPrompt(prompt, attachments),
+    workspace: workspace.name,
+    sessionKey,
+  });
+}
+
+// ========== 处理卡片按钮回调 ==========
+// 返回值作为回调响应（toast 提示），卡片本身通过 patch 原地更新
+async function handleCardAction(data) {
+  const value = data?.action?.value || {};
+  const operatorId = data?.operator?.open_id || null;
+  const toast = (type, content) => ({ toast: { type, content } });
+  
+  const task = recentTasks.get(value.taskId);
+  if (!task) {
+    return toast('warning', '任务信息已过期，请重新发送消息');
+  }
+  
+  // 按钮操作同样需要权限校验
+  const permissions = {
+    stop: 'chat',
+    extend: 'chat',
+    new_session: 'chat',
+    retry: task.mode,
+    continue: task.mode,
+    send_files: 'file',
+    accept_changes: 'agent',
+    revert_changes: 'agent',
   };
+  const permission = Object.hasOwn(permissions, value.action) ? permissions[value.action] : null;
+  if (!permission) {
+    return toast('error', `未知操作: ${value.action}`);
+  }
+  const { allowed, role } = checkPermission(accessPolicy, { openId: operatorId, chatId: task.chatId }, permission);
+  if (!allowed) {
+    console.log(`[审计] 拒绝卡片操作: action=${value.action}, permission=${permission}, role=${role}, open_id=${operatorId}, chat_id=${task.chatId}`);
+    return toast('error', `暂无「${PERMISSIONS[permission]}」权限`);
+  }
   
-  // 检查是否有现有会话（使用 threadKey 区分不同话题）
-  const existingSession = getSession(threadKey);
-  const sessionHint = existingSession ? '（继续对话）' : '（新会话）';
+  console.log(`[卡片操作] ${value.action} (task: ${task.id}, operator: ${operatorId})`);
   
-  // 发送初始流式卡片（替代"请稍候"）
-  const streamingTitle = `⏳ ${modeNames[mode]}中${sessionHint}...`;
-  const streamCardId = await sendMarkdownCard(chatId, '思考中...', streamingTitle, 'wathet', replyToMessageId);
+  // 已结束任务的卡片：追加操作记录并移除按钮，避免重复点击
+  const markFinalCard = (note) => {
+    if (!task.resultText) return Promise.resolve();
+    return updateMarkdownCard(task.cardId, `${task.cardText || task.resultText}\n\n---\n${note}`, task.finalTitle, task.finalTemplate, { steps: task.stepTracker, redactedCount: task.cardRedactedCount });
+  };
   
-  // 设置当前活跃的 chatId（供 API 接口使用）
-  currentActiveChatId = chatId;
+  // 在同一话题中提交后续任务（不等待执行，回调需尽快返回）
+  const submitFollowUp = (prompt) => {
+    submitTask({
+      id: createTaskId(),
+      chatId: task.chatId,
+      threadKey: task.threadKey,
+      replyToMessageId: task.replyToMessageId,
+      senderId: operatorId,
+      mode: task.mode,
+      prompt,
+      workspace: task.workspace,
+      sessionKey: task.sessionKey,
+      worktreeKey: task.worktreeKey,
+    }).catch(error => console.error('[卡片操作] 提交任务失败:', error.message));
+  };
   
-  try {
-    // 流式回调：实时更新飞书卡片（返回 Promise 以支持链式等待）
-    const onStream = (text) => {
-      return updateMarkdownCard(streamCardId, text, streamingTitle, 'wathet');
-    };
-    
-    // 调用 Cursor CLI（传入 threadKey 以支持 stop 命令 + 流式回调）
-    const result = await callCursorCLI(prompt, mode, threadKey, onStream);
-    
-    // 最终更新卡片为完成状态
-    const cardTitle = `✅ ${modeNames[mode]}完成`;
-    await updateMarkdownCard(streamCardId, result, cardTitle, 'green');
-  } catch (error) {
-    console.error('[错误]', error);
-    
-    // 如果是用户主动停止的，不显示错误
-    if (error.message === 'STOPPED_BY_USER') {
-      return;
+  switch (value.action) {
+    case 'stop': {
+      const running = activeTasks.get(task.threadKey);
+      if (!running || running.taskId !== task.id) {
+        return toast('info', '任务已结束');
+      }
+      stopTask(task.threadKey);
+      return toast('success', '已终止任务');
     }
-    
-    await sendMessage(chatId, `❌ 执行出错：${error.message}`, 'text', replyToMessageId);
+    case 'extend': {
+      const running = activeTasks.get(task.threadKey);
+      if (!running || running.taskId !== task.id) {
+        return toast('info', '任务已结束');
+      }
+      if (running.watchdog.atLimit) {
+        return toast('warning', `已达到最长运行时间 ${Math.round(config.timeoutMax / 60000)} 分钟，不能再延长`);
+      }
+      const deadline = running.watchdog.extend((value.minutes || 5) * 60000);
+      return toast('success', `已延长至 ${new Date(deadline).toLocaleTimeString()}`);
+    }
+    case 'retry':
+      submitFollowUp(task.prompt);
+      await markFinalCard('🔁 已重新执行');
+      return toast('success', '已重新提交任务');
+    case 'continue':
+      submitFollowUp('继续');
+      await markFinalCard('▶️ 已继续执行');
+      return toast('success', '已提交继续执行');
+    case 'new_session': {
+      const hadSession = clearSession(task.sessionKey);
+      await markFinalCard('🆕 已开始新会话，下次提问将开始新的对话');
+      return toast('success', hadSession ? '已清除会话' : '当前没有活跃的会话');
+    }
+    case 'send_files': {
+      const workDir = task.workDir || workspaces.get(task.workspace)?.path || config.workDir;
+      // 跳过敏感文件和指向工作目录之外的链接
+      const files = listFiles(workDir)
+        .filter(f => new Date(f.mtime).getTime() >= task.startTime)
+        .filter(f => pathPolicy.check(f.path, { baseDir: workDir }).allowed);
+      if (files.length === 0) {
+        return toast('info', '本次任务没有生成或修改文件');
+      }
+      const targets = files.slice(0, 10);
+      await markFinalCard(`📎 正在发送 ${targets.length} 个文件${files.length > 10 ? `（共 ${files.length} 个，仅发送最近修改的 10 个）` : ''}`);
+      // 后台逐个发送，避免回调超时
+      (async () => {
+        for (const file of targets) {
+          try {
+            const sent = await sendLocalFile(task.chatId, file.path, task.replyToMessageId, workDir);
+            taskHistory.addFile(task.id, sent.fileName);
+          } catch (error) {
+            await sendMessage(task.chatId, `❌ 文件发送失败: ${file.path}\n${error.message}`, 'text', task.replyToMessageId);
+          }
+        }
+      })();
+      return toast('success', `开始发送 ${targets.length} 个文件`);
+    }
+    case 'accept_changes':
+    case 'revert_changes': {
+      const changes = task.changes;
+      if (!changes || changes.resolved) {
+        return toast('info', changes ? '该变更已处理' : '变更信息已过期');
+      }
+      let note = '✅ 已保留变更';
+      if (value.action === 'revert_changes') {
+        try {
+          await revertSnapshot(changes.cwd, changes.before, changes.after);
+        } catch (error) {
+          console.error('[变更] 回滚失败:', error.message);
+          return toast('error', '回滚失败：文件在任务结束后又被修改过，请手动处理');
+        }
+        note = '↩️ 已回滚变更';
+      }
+      changes.resolved = true;
+      console.log(`[变更] ${note} (task: ${task.id}, operator: ${operatorId})`);
+      await updateMarkdownCard(changes.cardId, `${changes.content}\n\n---\n${note}`, changes.title, value.action === 'revert_changes' ? 'grey' : 'green', { panels: changes.panels });
+      return toast('success', note);
+    }
+  }
+}
+
+// ========== 解析任务路由 ==========
+// 未携带令牌时（旧版 MCP 配置），仅当只有一个运行中的任务时才能确定目标
+function resolveTaskRoute(taskToken) {
+  if (taskToken) {
+    return taskRoutes.get(taskToken) || { error: '任务不存在或已结束' };
+  }
+  if (taskRoutes.size === 1) {
+    return taskRoutes.values().next().value;
   }
+  return { error: taskRoutes.size === 0 ? '没有正在执行的任务' : '缺少任务令牌，无法确定目标聊天' };
 }
 
+// ========== 健康检查 ==========
+// 飞书长连接、令牌、默认 Agent 后端和 rg 是关键依赖，失败时服务不可用；磁盘空间和 MCP Server 失败时为降级
+// GET /ready 无需令牌，报告缓存几秒，频繁探测时不会每次都重新检查
+const HEALTH_REPORT_CACHE_MS = 5000;
+const healthChecker = createHealthChecker([
+  {
+    name: 'websocket',
+    label: '飞书长连接',
+    critical: true,
+    run: () => {
+      if (!wsClient) return { ok: false, detail: '尚未启动' };
+      const since = wsState.changedAt ? `（${new Date(wsState.changedAt).toLocaleString()}）` : '';
+      if (wsState.connected) {
+        return { ok: true, detail: `已连接${since}` };
+      }
+      const { nextConnectTime } = wsClient.getReconnectInfo();
+      const retry = nextConnectTime > Date.now() ? `，${new Date(nextConnectTime).toLocaleTimeString()} 重连` : '';
+      return { ok: false, detail: `未连接${since}${retry}${wsState.lastError ? `：${wsState.lastError}` : ''}` };
+    },
+  },
+  {
+    name: 'feishu_auth',
+    label: '飞书令牌',
+    critical: true,
+    cacheMs: 10 * 60 * 1000,
+    run: async () => {
+      const tokenData = await requestTenantToken();
+      if (!tokenData.tenant_access_token) {
+        return { ok: false, detail: `获取 tenant_access_token 失败: ${tokenData.msg || tokenData.code}` };
+      }
+      if (!botOpenId) {
+        await fetchBotInfo();
+      }
+      return botOpenId
+        ? { ok: true, detail: `令牌有效，机器人 open_id: ${botOpenId}` }
+        : { ok: false, detail: '令牌有效，但未获取到机器人 open_id（群聊中无法判断是否 @ 了机器人）' };
+    },
+  },
+  {
+    name: 'agent',
+    label: `Agent 后端（${backends.get(config.backend).label}）`,
+    critical: true,
+    // 检查默认后端：有自定义检查时使用，否则检查可执行文件是否在 PATH 中
+    run: () => {
+      const backend = backends.get(config.backend);
+      if (backend.check) return backend.check();
+      const found = findExecutable(backend.binary);
+      return found ? { ok: true, detail: found } : { ok: false, detail: `PATH 中找不到 ${backend.binary}，请安装 ${backend.label}` };
+    },
+  },
+  {
+    name: 'ripgrep',
+    label: 'ripgrep',
+    critical: true,
+    run: () => {
+      const found = findExecutable('rg');
+      return found ? { ok: true, detail: found } : { ok: false, detail: 'PATH 中找不到 rg，请安装 ripgrep 或配置 RIPGREP_PATH' };
+    },
+  },
+  {
+    name: 'disk',
+    label: '磁盘空间',
+    run: () => {
+      const results = workspaces.list().map(w => ({ name: w.name, ...checkDiskSpace(w.path, config.diskMinFreeMb * 1024 * 1024) }));
+      return {
+        ok: results.every(r => r.ok),
+        detail: results.map(r => `${r.name}: ${r.detail}`).join('；'),
+      };
+    },
+  },
+  {
+    name: 'mcp',
+    label: 'MCP Server',
+    cacheMs: 5 * 60 * 1000,
+    run: () => probeMcpServer(path.join(__dirname, 'mcp-server.js'), {
+      env: { ...process.env, FEISHU_API_PORT: String(config.apiPort) },
+    }),
+  },
+], { reportCacheMs: HEALTH_REPORT_CACHE_MS });
+
 // ========== HTTP API 服务器 ==========
 // 提供给 Cursor CLI 调用的文件发送接口
 function startApiServer() {
+  const auth = createApiAuth({
+    secret: config.apiSecret,
+    externalTokens: config.apiTokens,
+    allowedOrigins: config.apiAllowedOrigins,
+    listenHost: config.apiHost,
+  });
+  
   const server = http.createServer(async (req, res) => {
-    // 设置 CORS 头
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // 拒绝不在白名单中的网页来源和非本机 Host
+    const originError = auth.checkOrigin(req);
+    if (originError) {
+      console.log(`[API] 拒绝请求 ${req.method} ${req.url}: ${originError.error}`);
+      sendApiError(res, originError);
+      return;
+    }
+    auth.applyCors(req, res);
     
-    // 处理 OPTIONS 预检请求
+    // 处理 OPTIONS 预检请求（只有白名单来源能走到这里）
     if (req.method === 'OPTIONS') {
-      res.writeHead(200);
+      res.writeHead(204);
       res.end();
       return;
     }
     
     // 只处理 POST /send-file
     if (req.method === 'POST' && req.url === '/send-file') {
+      const tokenError = auth.checkToken(req, 'internal');
+      if (tokenError) {
+        sendApiError(res, tokenError);
+        return;
+      }
       let body = '';
       
       req.on('data', chunk => {
@@ -1468,21 +3545,32 @@ function startApiServer() {
           const filePath = data.file_path;
           
           if (!filePath) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, error: '缺少 file_path 参数' }));
+            sendApiError(res, { status: 400, code: 'BAD_REQUEST', error: '缺少 file_path 参数' });
             return;
           }
           
-          if (!currentActiveChatId) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, error: '没有活跃的聊天会话' }));
+          // 根据任务令牌找到触发任务的聊天
+          const route = resolveTaskRoute(req.headers['x-feishu-task-token'] || data.task_token);
+          if (route.error) {
+            sendApiError(res, { status: 400, code: 'TASK_NOT_FOUND', error: route.error });
             return;
           }
           
-          console.log(`[API] 收到文件发送请求: ${filePath} -> ${currentActiveChatId}`);
+          console.log(`[API] 收到文件发送请求: ${filePath} -> ${route.threadKey}`);
           
-          // 发送文件
-          const result = await sendLocalFile(currentActiveChatId, filePath);
+          // 只能发送任务工作目录中的非敏感文件
+          const checked = pathPolicy.check(filePath, { baseDir: route.workDir });
+          if (!checked.allowed) {
+            console.log(`[审计] 拒绝 API 发送文件: ${filePath} - ${checked.reason}`);
+            sendApiError(res, { status: 403, code: 'PATH_NOT_ALLOWED', error: checked.reason });
+            return;
+          }
+          
+          // 发送文件（话题中的任务回复到同一话题）
+          const result = await sendLocalFile(route.chatId, checked.path, route.replyToMessageId, route.workDir);
+          if (route.taskId) {
+            taskHistory.addFile(route.taskId, result.fileName);
+          }
           
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ 
@@ -1495,31 +3583,111 @@ function startApiServer() {
           console.log(`[API] 文件发送成功: ${result.fileName}`);
         } catch (error) {
           console.error(`[API] 文件发送失败:`, error.message);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: error.message }));
+          sendApiError(res, { status: 500, code: 'INTERNAL_ERROR', error: error.message });
         }
       });
     } 
-    // 健康检查接口
+    // 外部任务接口：POST /tasks 提交任务，GET /tasks/:id 查询状态和结果
+    else if (req.url === '/tasks' || req.url.startsWith('/tasks/')) {
+      const sendJson = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      
+      const tokenError = auth.checkToken(req, 'tasks');
+      if (tokenError) {
+        sendApiError(res, tokenError);
+        return;
+      }
+      
+      if (req.method === 'GET' && req.url.startsWith('/tasks/')) {
+        const taskId = decodeURIComponent(req.url.substring('/tasks/'.length));
+        const task = apiTasks.get(taskId);
+        if (!task) {
+          sendApiError(res, { status: 404, code: 'NOT_FOUND', error: `任务 ${taskId} 不存在` });
+          return;
+        }
+        sendJson(200, { success: true, task: describeApiTask(task) });
+        return;
+      }
+      
+      if (req.method !== 'POST' || req.url !== '/tasks') {
+        sendApiError(res, { status: 405, code: 'METHOD_NOT_ALLOWED', error: 'Method Not Allowed' });
+        return;
+      }
+      
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk.toString();
+      });
+      req.on('end', async () => {
+        try {
+          let data;
+          try {
+            data = JSON.parse(body || '{}');
+          } catch (e) {
+            sendApiError(res, { status: 400, code: 'BAD_REQUEST', error: '请求体不是有效的 JSON' });
+            return;
+          }
+          const result = await submitApiTask(data);
+          if (result.error) {
+            sendApiError(res, { status: result.status, code: result.status === 502 ? 'FEISHU_ERROR' : 'BAD_REQUEST', error: result.error });
+            return;
+          }
+          sendJson(202, { success: true, task_id: result.task.id, status: result.task.status, message_id: result.task.replyToMessageId });
+        } catch (error) {
+          console.error('[API] 提交任务失败:', error.message);
+          sendApiError(res, { status: 500, code: 'INTERNAL_ERROR', error: error.message });
+        }
+      });
+    }
+    // 健康检查接口（无需令牌；带有效令牌时返回工作目录等详情）
+    // 存活检查：进程能响应即为 ok，不检查外部依赖
     else if (req.method === 'GET' && req.url === '/health') {
+      const detailed = !auth.checkToken(req, 'tasks');
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ 
         status: 'ok', 
-        activeChatId: currentActiveChatId,
-        workDir: config.workDir,
+        uptime: Math.round((Date.now() - SERVICE_START_TIME) / 1000),
+        activeTasks: activeTasks.size,
+        ...(detailed ? { workDir: config.workDir, workspaces: workspaces.list().map(w => w.name) } : {}),
       }));
     }
+    // 就绪检查：关键依赖不可用时返回 503；带令牌时返回每项检查的详情
+    else if (req.method === 'GET' && req.url === '/ready') {
+      const { status, body } = await buildReadyResponse(healthChecker, {
+        detailed: !auth.checkToken(req, 'tasks'),
+        extra: () => ({
+          activeTasks: activeTasks.size,
+          queuedTasks: [...taskQueues.values()].reduce((sum, queue) => sum + queue.length, 0),
+          sessions: sessionStore.size,
+        }),
+      });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    }
+    // Prometheus 指标：与外部任务接口使用相同的令牌
+    else if (req.method === 'GET' && req.url === '/metrics') {
+      const tokenError = auth.checkToken(req, 'tasks');
+      if (tokenError) {
+        sendApiError(res, tokenError);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+      res.end(metricsRegistry.render());
+    }
     // 其他请求返回 404
     else {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Not Found' }));
+      sendApiError(res, { status: 404, code: 'NOT_FOUND', error: 'Not Found' });
     }
   });
   
-  server.listen(config.apiPort, '127.0.0.1', () => {
-    console.log(`📡 API 服务已启动: http://localhost:${config.apiPort}`);
+  server.listen(config.apiPort, config.apiHost, () => {
+    console.log(`📡 API 服务已启动: http://${config.apiHost}:${config.apiPort}`);
     console.log(`   - POST /send-file - 发送文件到飞书`);
-    console.log(`   - GET /health - 健康检查`);
+    console.log(`   - POST /tasks, GET /tasks/:id - 提交外部任务${config.apiTokens.length > 0 ? '' : '（未配置 API_TOKENS，仅限进程密钥）'}`);
+    console.log(`   - GET /health - 存活检查，GET /ready - 就绪检查`);
+    console.log(`   - GET /metrics - Prometheus 指标`);
   });
   
   server.on('error', (err) => {
@@ -1539,19 +3707,29 @@ async function startWebSocket() {
   console.log('🚀 飞书 + Cursor CLI 桥接服务启动中...');
   console.log('========================================');
   console.log(`App ID: ${config.appId.substring(0, 8)}...`);
-  console.log(`工作目录: ${config.workDir}`);
+  console.log(`工作区: ${workspaces.list().map(w => `${w.name}${w.name === workspaces.defaultName ? '(默认)' : ''}=${w.path}`).join(', ')}`);
+  for (const workspace of workspaces.list()) {
+    if (!fs.existsSync(workspace.path)) {
+      console.log(`⚠️ 工作区 ${workspace.name} 的路径不存在: ${workspace.path}`);
+    }
+  }
   console.log(`启动时间: ${new Date(SERVICE_START_TIME).toLocaleString()}`);
   console.log(`历史消息: 将被自动过滤`);
+  if (!accessPolicy.enabled) {
+    console.log('⚠️ 未配置访问控制规则，所有人都可以使用全部功能（见 .env.example 中的 ACCESS_* 配置）');
+  }
   console.log('');
   
   // 获取机器人自身信息（用于群聊 @ 判断）
   await fetchBotInfo();
   
   // 创建 WebSocket 客户端
-  const wsClient = new lark.WSClient({
+  wsClient = new lark.WSClient({
     appId: config.appId,
     appSecret: config.appSecret,
-    loggerLevel: lark.LoggerLevel.info,
+    // debug 级别才会输出「连接成功」「重连成功」，实际输出级别由 LOG_LEVEL 控制
+    loggerLevel: lark.LoggerLevel.debug,
+    logger: createWsLogger(),
   });
   
   // 注册消息事件处理器
@@ -1559,12 +3737,24 @@ async function startWebSocket() {
     eventDispatcher: new lark.EventDispatcher({}).register({
       'im.message.receive_v1': async (data) => {
         try {
-          console.log('[事件] 收到消息事件:', JSON.stringify(data?.message?.message_id));
-          await handleMessage(data);
+          const context = { messageId: data?.message?.message_id, chatId: data?.message?.chat_id };
+          await logger.runWithContext(context, async () => {
+            console.log('[事件] 收到消息事件:', JSON.stringify(context.messageId));
+            await handleMessage(data);
+          });
         } catch (error) {
           console.error('[事件处理错误]', error.message, error.stack);
         }
       },
+      // 卡片按钮回调（停止、重试、继续、新会话、发送文件）
+      'card.action.trigger': async (data) => {
+        try {
+          return await handleCardAction(data);
+        } catch (error) {
+          console.error('[卡片回调错误]', error.message, error.stack);
+          return { toast: { type: 'error', content: `操作失败: ${error.message}` } };
+        }
+      },
     }),
   });
   
@@ -1578,6 +3768,9 @@ async function startWebSocket() {
 // 启动 API 服务器（供 Cursor CLI 调用）
 startApiServer();
 
+// 启动定时任务调度
+scheduler.start();
+
 // 启动飞书 WebSocket 连接
 startWebSocket().catch((error) => {
   console.error('启动失败:', error);
@@ -0,0 +1,107 @@
+/**
+ * 访问控制
+ *
+ * 按发送者 open_id 和 chat_id 解析角色，再按角色判断能否使用某项功能。
+ * 规则来源（两者会合并）：
+ * - .env：ACCESS_ADMINS / ACCESS_DEVELOPERS / ACCESS_VIEWERS / ACCESS_CHATS / ACCESS_DEFAULT_ROLE
+ * - JSON 文件（ACCESS_CONFIG_FILE，默认 access.json）：{ defaultRole, users, chats, roles }
+ */
+
+import fs from 'fs';
+
+// ========== 权限项 ==========
+export const PERMISSIONS = {
+  chat: '会话控制（/stop、/new、/session）',
+  agent: '执行模式（修改代码）',
+  ask: '问答模式',
+  plan: '规划模式',
+  file: '发送文件（/file）',
+  ls: '列出文件（/ls）',
+  log: '查看日志（/log）',
+  screenshot: '截图（/screenshot）',
+  photo: '拍照（/photo）',
+};
+
+// ========== 默认角色权限 ==========
+const DEFAULT_ROLES = {
+  admin: Object.keys(PERMISSIONS),
+  developer: ['chat', 'agent', 'ask', 'plan', 'file', 'ls', 'log'],
+  viewer: ['chat', 'ask', 'plan', 'ls'],
+  none: [],
+};
+
+export const ROLE_NAMES = {
+  admin: '管理员',
+  developer: '开发者',
+  viewer: '只读访客',
+  none: '未授权用户',
+};
+
+// 解析逗号分隔的列表
+function splitList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// ========== 加载访问策略 ==========
+export function loadAccessPolicy({ env = process.env, configFile } = {}) {
+  const users = {};
+  const chats = {};
+  const roles = { ...DEFAULT_ROLES };
+  let defaultRole = env.ACCESS_DEFAULT_ROLE || null;
+
+  // .env 中的规则
+  for (const id of splitList(env.ACCESS_VIEWERS)) users[id] = 'viewer';
+  for (const id of splitList(env.ACCESS_DEVELOPERS)) users[id] = 'developer';
+  for (const id of splitList(env.ACCESS_ADMINS)) users[id] = 'admin';
+  // ACCESS_CHATS 格式：chat_id:role,chat_id:role（省略 role 视为 viewer）
+  for (const item of splitList(env.ACCESS_CHATS)) {
+    const [chatId, role = 'viewer'] = item.split(':').map(s => s.trim());
+    chats[chatId] = role;
+  }
+
+  // JSON 文件中的规则（优先级高于 .env）
+  if (configFile && fs.existsSync(configFile)) {
+    const json = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+    Object.assign(users, json.users || {});
+    Object.assign(chats, json.chats || {});
+    Object.assign(roles, json.roles || {});
+    if (json.defaultRole) defaultRole = json.defaultRole;
+  }
+
+  // 校验角色名，避免拼写错误导致意外放行
+  for (const [id, role] of [...Object.entries(users), ...Object.entries(chats)]) {
+    if (!roles[role]) {
+      throw new Error(`访问控制配置错误：${id} 的角色 "${role}" 不存在`);
+    }
+  }
+  if (defaultRole && !roles[defaultRole]) {
+    throw new Error(`访问控制配置错误：默认角色 "${defaultRole}" 不存在`);
+  }
+
+  // 没有任何规则时不启用访问控制（兼容旧部署）
+  const enabled = Object.keys(users).length > 0 || Object.keys(chats).length > 0 || !!defaultRole;
+
+  return {
+    enabled,
+    users,
+    chats,
+    roles,
+    defaultRole: defaultRole || 'none',
+  };
+}
+
+// ========== 解析角色 ==========
+// 优先级：用户规则 > 群规则 > 默认角色
+export function resolveRole(policy, { openId, chatId }) {
+  if (!policy.enabled) return 'admin';
+  if (openId && policy.users[openId]) return policy.users[openId];
+  if (chatId && policy.chats[chatId]) return policy.chats[chatId];
+  return policy.defaultRole;
+}
+
+// ========== 权限检查 ==========
+export function checkPermission(policy, subject, permission) {
+  const role = resolveRole(policy, subject);
+  const allowed = (policy.roles[role] || []).includes(permission);
+  return { allowed, role };
+}
@@ -0,0 +1,90 @@
+/**
+ * 本地 HTTP API 鉴权
+ *
+ * - 进程密钥：每次启动随机生成，通过环境变量 FEISHU_BRIDGE_TOKEN 传给 agent 及其启动的 MCP Server，
+ *   内部接口（/send-file）只接受该密钥
+ * - 外部令牌：API_TOKENS 中配置的令牌，只能调用任务接口（/tasks）
+ * - 来源检查：带 Origin 头的请求（浏览器发起）必须在白名单中；监听本机地址时 Host 也必须是本机，
+ *   防止网页通过跨域请求或 DNS 重绑定调用接口
+ *
+ * 所有错误统一返回 { success: false, error, code }。
+ */
+
+import crypto from 'crypto';
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+// 常量时间比较，避免通过响应时间猜出令牌
+function tokenEquals(token, expected) {
+  const a = crypto.createHash('sha256').update(String(token)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// 从 Authorization: Bearer <令牌> 中取出令牌
+function readBearerToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+// 去掉端口号，得到 Host 头中的主机名
+function hostnameOf(hostHeader = '') {
+  if (hostHeader.startsWith('[')) {
+    return hostHeader.substring(0, hostHeader.indexOf(']') + 1);
+  }
+  return hostHeader.split(':')[0];
+}
+
+// ========== 发送错误响应 ==========
+export function sendApiError(res, { status, code, error }) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ success: false, error, code }));
+}
+
+// ========== 创建鉴权器 ==========
+// secret: 进程密钥；externalTokens: 外部令牌；allowedOrigins: 允许的浏览器来源；listenHost: 监听地址
+export function createApiAuth({ secret, externalTokens = [], allowedOrigins = [], listenHost = '127.0.0.1' }) {
+  const loopbackOnly = LOOPBACK_HOSTS.includes(listenHost);
+
+  // 检查请求来源，不通过时返回错误对象
+  const checkOrigin = (req) => {
+    const origin = req.headers.origin;
+    if (origin && !allowedOrigins.includes(origin)) {
+      return { status: 403, code: 'ORIGIN_NOT_ALLOWED', error: `不允许来自 ${origin} 的请求` };
+    }
+    if (loopbackOnly && !LOOPBACK_HOSTS.includes(hostnameOf(req.headers.host))) {
+      return { status: 403, code: 'HOST_NOT_ALLOWED', error: `不允许的 Host: ${req.headers.host || '（空）'}` };
+    }
+    return null;
+  };
+
+  // 检查令牌：scope 为 'internal' 时只接受进程密钥，为 'tasks' 时也接受外部令牌
+  const checkToken = (req, scope) => {
+    const token = readBearerToken(req);
+    if (!token) {
+      return { status: 401, code: 'UNAUTHORIZED', error: '缺少访问令牌（Authorization: Bearer <令牌>）' };
+    }
+    if (tokenEquals(token, secret)) return null;
+    const external = externalTokens.some(expected => tokenEquals(token, expected));
+    if (!external) {
+      return { status: 401, code: 'INVALID_TOKEN', error: '访问令牌无效' };
+    }
+    if (scope !== 'tasks') {
+      return { status: 403, code: 'FORBIDDEN', error: '该令牌无权调用此接口' };
+    }
+    return null;
+  };
+
+  // 为白名单中的来源设置 CORS 头
+  const applyCors = (req, res) => {
+    const origin = req.headers.origin;
+    if (origin && allowedOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Feishu-Task-Token');
+    }
+  };
+
+  return { checkOrigin, checkToken, applyCors };
+}
@@ -0,0 +1,92 @@
+/**
+ * Anthropic API 后端
+ *
+ * 直接调用 Anthropic Messages API（@anthropic-ai/sdk）流式生成回复，不需要安装任何 CLI。
+ * 该后端没有工具，不能读写文件或执行命令，适合问答和规划；
+ * 多轮对话的消息记录保存在 sessionDir/<会话ID>.json，会话 ID 与其他后端一样存入会话存储，用于继续对话。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Anthropic from '@anthropic-ai/sdk';
+
+// 会话 ID 只允许字母、数字、下划线和短横线，避免拼接出对话记录目录之外的路径
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+
+// ========== 创建 Anthropic 后端 ==========
+// apiKey / model / maxTokens: API 参数；sessionDir: 对话记录目录
+export function createAnthropicBackend({ apiKey, model, maxTokens = 8192, sessionDir }) {
+  let client = null;
+
+  const sessionFile = id => path.join(sessionDir, `${id}.json`);
+
+  const loadMessages = (id, log) => {
+    if (!id || !SESSION_ID_PATTERN.test(id) || !fs.existsSync(sessionFile(id))) return null;
+    try {
+      return JSON.parse(fs.readFileSync(sessionFile(id), 'utf-8')).messages || [];
+    } catch (error) {
+      log.error(`[Anthropic] 读取对话记录失败: ${error.message}`);
+      return null;
+    }
+  };
+
+  const saveMessages = (id, messages) => {
+    fs.mkdirSync(sessionDir, { recursive: true });
+    const tmpFile = `${sessionFile(id)}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ model, messages }, null, 2));
+    fs.renameSync(tmpFile, sessionFile(id));
+  };
+
+  return {
+    name: 'anthropic',
+    label: 'Anthropic API',
+    description: `Anthropic Messages API（${model}，无文件和命令权限）`,
+
+    // 健康检查：只检查是否配置了 API Key
+    check() {
+      return apiKey
+        ? { ok: true, detail: `模型 ${model}` }
+        : { ok: false, detail: '未配置 ANTHROPIC_API_KEY' };
+    },
+
+    start({ prompt, cwd, resumeId, onEvent, log = console }) {
+      if (!apiKey) {
+        throw new Error('未配置 ANTHROPIC_API_KEY，无法使用 Anthropic API 后端');
+      }
+      client ??= new Anthropic({ apiKey });
+
+      const history = loadMessages(resumeId, log);
+      const sessionId = history ? resumeId : crypto.randomUUID();
+      const messages = [...(history || []), { role: 'user', content: prompt }];
+      const controller = new AbortController();
+
+      const done = (async () => {
+        onEvent({ type: 'system', session_id: sessionId });
+        const stream = client.messages.stream({
+          model,
+          max_tokens: maxTokens,
+          system: `你是一名编程助手，用户通过飞书与你对话，请用 Markdown 回答。当前工作目录为 ${cwd}，但你无法读取文件或执行命令，需要代码时请让用户贴出相关内容。`,
+          messages,
+        }, { signal: controller.signal });
+        stream.on('text', (delta) => {
+          onEvent({ type: 'assistant', message: { content: [{ text: delta }] }, timestamp_ms: Date.now() });
+        });
+
+        try {
+          const final = await stream.finalMessage();
+          const text = final.content.filter(block => block.type === 'text').map(block => block.text).join('');
+          saveMessages(sessionId, [...messages, { role: 'assistant', content: text }]);
+          onEvent({ type: 'result', result: text, session_id: sessionId });
+          return 0;
+        } catch (error) {
+          // 被 stop 终止时与命令行后端一样返回空退出码
+          if (controller.signal.aborted) return null;
+          throw error;
+        }
+      })();
+
+      return { stop: () => controller.abort(), done };
+    },
+  };
+}
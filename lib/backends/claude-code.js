@@ -0,0 +1,159 @@
+/**
+ * Claude Code CLI 后端
+ *
+ * 启动 `claude -p --output-format stream-json --verbose`，把 Claude Code 的事件转换为
+ * 桥接服务使用的事件格式（与 Cursor CLI 的 stream-json 相同），使流式卡片、执行步骤和只读守卫
+ * 不需要区分后端：
+ * - system(init) / result 中的 session_id → 会话 ID（用 --resume 继续）
+ * - assistant 消息中的文本 → 增量文本，多条消息之间空一行
+ * - tool_use / tool_result → tool_call started / completed（Read、Edit、Bash 等映射为对应的工具类型）
+ * - result → result，运行失败时带 is_error: true
+ */
+
+import { spawnCliProcess, parseJsonLine } from './process.js';
+
+// Claude Code 工具名 → Cursor 工具类型及参数转换
+const TOOL_MAP = {
+  Read: { key: 'readToolCall', args: input => ({ path: input.file_path }) },
+  Write: { key: 'writeToolCall', args: input => ({ path: input.file_path, fileText: input.content }) },
+  Edit: { key: 'editToolCall', args: input => ({ path: input.file_path }) },
+  MultiEdit: { key: 'editToolCall', args: input => ({ path: input.file_path }) },
+  NotebookEdit: { key: 'editToolCall', args: input => ({ path: input.notebook_path }) },
+  Bash: { key: 'shellToolCall', args: input => ({ command: input.command }) },
+  Grep: { key: 'grepToolCall', args: input => ({ pattern: input.pattern, path: input.path }) },
+  Glob: { key: 'globToolCall', args: input => ({ globPattern: input.pattern }) },
+  LS: { key: 'lsToolCall', args: input => ({ path: input.path }) },
+  TodoWrite: { key: 'updateTodosToolCall', args: input => ({ todos: input.todos }) },
+};
+
+// tool_result 的内容可能是字符串，也可能是内容块数组（通常为 [{ type: 'text', text }]）
+function resultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(block => block?.type === 'text' && block.text).map(block => block.text).join('\n');
+  }
+  return '';
+}
+
+function countLines(text) {
+  return text ? String(text).split('\n').length : 0;
+}
+
+// 编辑类工具的增删行数（按替换前后的文本估算）
+function editStats(name, input) {
+  if (name === 'Edit') {
+    return { linesAdded: countLines(input.new_string), linesRemoved: countLines(input.old_string) };
+  }
+  if (name === 'MultiEdit') {
+    return (input.edits || []).reduce((sum, edit) => ({
+      linesAdded: sum.linesAdded + countLines(edit.new_string),
+      linesRemoved: sum.linesRemoved + countLines(edit.old_string),
+    }), { linesAdded: 0, linesRemoved: 0 });
+  }
+  if (name === 'Write') {
+    return { linesCreated: countLines(input.content) };
+  }
+  return {};
+}
+
+// 转换为 tool_call 对象；MCP 工具（mcp__服务__工具）和未知工具分别处理
+function toToolCall(name, input, result) {
+  const mapped = TOOL_MAP[name];
+  if (mapped) {
+    return { [mapped.key]: { args: mapped.args(input || {}), ...(result ? { result } : {}) } };
+  }
+  const mcp = name.match(/^mcp__(.+?)__(.+)$/);
+  if (mcp) {
+    return { mcpToolCall: { args: { providerIdentifier: mcp[1], toolName: mcp[2] }, ...(result ? { result } : {}) } };
+  }
+  return { function: { name, arguments: input } };
+}
+
+// ========== 事件转换器 ==========
+// 每次运行一个，记录工具调用参数（tool_result 中只有 ID）和是否已输出过文本
+export function createClaudeEventMapper() {
+  const toolUses = new Map(); // tool_use_id -> { name, input }
+  let hasText = false;
+
+  return (event) => {
+    const events = [];
+    const sessionId = event.session_id;
+
+    if (event.type === 'system' && sessionId) {
+      events.push({ type: 'system', session_id: sessionId });
+    }
+
+    if (event.type === 'assistant') {
+      for (const block of event.message?.content || []) {
+        if (block.type === 'text' && block.text) {
+          // 以增量形式输出（带 timestamp_ms），多条消息之间空一行
+          events.push({
+            type: 'assistant',
+            message: { content: [{ text: `${hasText ? '\n\n' : ''}${block.text}` }] },
+            timestamp_ms: Date.now(),
+          });
+          hasText = true;
+        } else if (block.type === 'tool_use') {
+          toolUses.set(block.id, { name: block.name, input: block.input || {} });
+          events.push({ type: 'tool_call', subtype: 'started', call_id: block.id, tool_call: toToolCall(block.name, block.input) });
+        }
+      }
+    }
+
+    if (event.type === 'user') {
+      for (const block of event.message?.content || []) {
+        if (block.type !== 'tool_result') continue;
+        const use = toolUses.get(block.tool_use_id);
+        if (!use) continue;
+        const result = block.is_error
+          ? { failure: { message: resultText(block.content) } }
+          : { success: editStats(use.name, use.input) };
+        events.push({ type: 'tool_call', subtype: 'completed', call_id: block.tool_use_id, tool_call: toToolCall(use.name, use.input, result) });
+      }
+    }
+
+    if (event.type === 'result') {
+      // is_error 或 error_ 开头的子类型（error_max_turns、error_during_execution 等）表示运行失败
+      const isError = !!event.is_error || /^error/.test(event.subtype || '');
+      events.push({
+        type: 'result',
+        ...(event.subtype ? { subtype: event.subtype } : {}),
+        result: event.result || '',
+        session_id: sessionId,
+        is_error: isError,
+      });
+    }
+
+    return events;
+  };
+}
+
+export const claudeCodeBackend = {
+  name: 'claude',
+  label: 'Claude Code',
+  binary: 'claude',
+  description: 'Claude Code CLI',
+
+  start({ prompt, mode, cwd, env, resumeId, onEvent, onStderr, log = console }) {
+    // 执行模式自动批准修改和命令（对应 Cursor 的 --force），只读模式用 plan 权限模式禁止修改
+    const permissionMode = mode.writable ? 'bypassPermissions' : 'plan';
+    const args = ['-p', '--output-format', 'stream-json', '--verbose', '--permission-mode', permissionMode];
+    if (resumeId) {
+      args.push('--resume', resumeId);
+    }
+    log.info(`[Claude Code] 命令: claude ${args.join(' ')}`);
+
+    const mapEvent = createClaudeEventMapper();
+    return spawnCliProcess('claude', args, {
+      cwd,
+      env,
+      input: prompt,
+      onStderr,
+      onLine: (line) => {
+        log.debug(`[Claude Code 输出] ${line.substring(0, 200)}`);
+        const event = parseJsonLine(line);
+        if (event) mapEvent(event).forEach(onEvent);
+      },
+    });
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Cursor CLI 后端
+ *
+ * 启动 `agent -p --output-format stream-json`，提示词通过 stdin 传入，
+ * 输出本身就是桥接服务使用的事件格式，逐行原样转发。
+ */
+
+import { spawnCliProcess, parseJsonLine } from './process.js';
+
+export const cursorBackend = {
+  name: 'cursor',
+  label: 'Cursor CLI',
+  binary: 'agent',
+  description: 'Cursor Agent CLI（默认）',
+
+  start({ prompt, mode, cwd, env, resumeId, onEvent, onStderr, log = console }) {
+    // 模式相关参数由模式表决定，只读模式不带 --force
+    const args = ['-p', ...mode.cliArgs, '--output-format', 'stream-json', '--stream-partial-output', '--approve-mcps'];
+    // 有现有会话时用 --resume 继续对话
+    if (resumeId) {
+      args.push('--resume', resumeId);
+    }
+    log.info(`[Cursor CLI] 命令: agent ${args.join(' ')}`);
+
+    return spawnCliProcess('agent', args, {
+      cwd,
+      env,
+      input: prompt,
+      onStderr,
+      onLine: (line) => {
+        log.debug(`[Cursor CLI 输出] ${line.substring(0, 200)}`);
+        const event = parseJsonLine(line);
+        if (event) onEvent(event);
+      },
+    });
+  },
+};
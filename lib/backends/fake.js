@@ -0,0 +1,88 @@
+/**
+ * 回放后端（离线测试用）
+ *
+ * 不调用任何 AI，按固定间隔回放录制好的事件流（JSON Lines，每行一条事件，格式与 Cursor CLI 的
+ * stream-json 相同，可直接使用 BACKEND_RECORD_DIR 录制的文件）。特殊行：
+ * - {"delay_ms": 500}：暂停指定毫秒
+ * - {"exit_code": 1}：以该退出码结束（默认 0）
+ * 继续对话时，事件中的会话 ID 会替换为要继续的会话 ID，与真实后端的行为一致。
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+// ========== 创建回放后端 ==========
+// file: 录制文件路径；intervalMs: 两条事件之间的间隔
+export function createFakeBackend({ file, intervalMs = 50 }) {
+  // 每次运行时读取，修改录制文件后无需重启
+  const loadEvents = () => fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`录制文件 ${file} 第 ${i + 1} 行不是有效的 JSON: ${error.message}`);
+      }
+    });
+
+  return {
+    name: 'fake',
+    label: '回放',
+    description: `回放录制的事件流（${file}）`,
+
+    check() {
+      return fs.existsSync(file)
+        ? { ok: true, detail: file }
+        : { ok: false, detail: `录制文件不存在: ${file}` };
+    },
+
+    start({ resumeId, onEvent }) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`录制文件不存在: ${file}`);
+      }
+      const events = loadEvents();
+      const sessionId = resumeId || `fake-${crypto.randomUUID()}`;
+      let timer = null;
+      let finish;
+
+      const done = new Promise((resolve) => {
+        finish = resolve;
+      });
+
+      // 先给出会话 ID（录制文件中没有会话 ID 时也能保存会话）
+      onEvent({ type: 'system', session_id: sessionId });
+      let index = 0;
+      const next = () => {
+        if (index >= events.length) {
+          finish(0);
+          return;
+        }
+        const event = events[index++];
+        if (event.exit_code !== undefined) {
+          finish(event.exit_code);
+          return;
+        }
+        if (event.delay_ms !== undefined) {
+          timer = setTimeout(next, event.delay_ms);
+          return;
+        }
+        // 替换录制时的会话 ID
+        const replayed = { ...event };
+        if (replayed.session_id) replayed.session_id = sessionId;
+        if (replayed.conversation_id) replayed.conversation_id = sessionId;
+        onEvent(replayed);
+        timer = setTimeout(next, intervalMs);
+      };
+      timer = setTimeout(next, 0);
+
+      // 终止时与命令行后端一样以空退出码结束
+      const stop = () => {
+        clearTimeout(timer);
+        finish(null);
+      };
+
+      return { stop, done };
+    },
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Agent 后端
+ *
+ * 桥接服务通过统一的后端接口调用不同的 AI 编程工具，流式卡片、执行步骤、会话存储等逻辑对所有后端通用。
+ *
+ * 后端接口：
+ * {
+ *   name, label, description,
+ *   binary?: 需要的可执行文件（健康检查用），
+ *   check?(): 自定义健康检查，返回 { ok, detail },
+ *   start({ prompt, mode, cwd, env, resumeId, onEvent, onStderr, log }) → { stop(), done }
+ * }
+ * - prompt 已带模式前言，mode 为模式定义（lib/modes.js），resumeId 为要继续的会话 ID（可能为空）
+ * - log 为结构化日志（lib/logger.js 的 debug / info / warn / error），日志自动带上任务上下文；未传入时使用 console
+ * - onEvent 接收事件，格式与 Cursor CLI 的 stream-json 相同：
+ *   { type: 'system', session_id }、{ type: 'assistant', message: { content: [{ text }] }, timestamp_ms? }
+ *   （带 timestamp_ms 为增量文本，否则为完整文本）、{ type: 'tool_call', subtype, call_id, tool_call }、
+ *   { type: 'result', result, session_id, is_error? }（is_error 为 true 时 result 是错误信息，任务按失败处理）
+ * - done 在运行结束时 resolve 退出码（被 stop 终止时为 null），启动失败时 reject
+ *
+ * 内置后端：cursor（Cursor CLI）、claude（Claude Code CLI）、anthropic（Anthropic API）、fake（回放录制的事件流）。
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export { cursorBackend } from './cursor.js';
+export { claudeCodeBackend } from './claude-code.js';
+export { createAnthropicBackend } from './anthropic.js';
+export { createFakeBackend } from './fake.js';
+
+// ========== 后端注册表 ==========
+// backends: 后端列表；defaultName: 默认后端名称
+export function createBackendRegistry(backends, defaultName) {
+  const byName = new Map(backends.map(backend => [backend.name, backend]));
+  if (!byName.has(defaultName)) {
+    throw new Error(`AGENT_BACKEND 配置错误：未知后端 "${defaultName}"，可选: ${[...byName.keys()].join(', ')}`);
+  }
+
+  return {
+    defaultName,
+    has: name => byName.has(name),
+    // 获取后端，未知名称回退到默认后端
+    get: name => byName.get(name) || byName.get(defaultName),
+    list: () => [...byName.values()],
+  };
+}
+
+// ========== 后端选择 ==========
+// 通过 /backend 为聊天或工作区指定的后端，持久化到 file
+export function createBackendSelector({ file }) {
+  let data = { chats: {}, workspaces: {} };
+  try {
+    if (fs.existsSync(file)) {
+      data = { ...data, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+    }
+  } catch (error) {
+    console.error(`[后端] 读取后端选择失败: ${error.message}`);
+  }
+
+  const persist = () => {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error(`[后端] 保存后端选择失败: ${error.message}`);
+    }
+  };
+
+  // scope: 'chats' / 'workspaces'；name 为空时清除
+  const set = (scope, key, name) => {
+    if (name) {
+      data[scope][key] = name;
+    } else {
+      delete data[scope][key];
+    }
+    persist();
+  };
+
+  return {
+    getChat: chatId => data.chats[chatId] || null,
+    setChat: (chatId, name) => set('chats', chatId, name),
+    getWorkspace: workspace => data.workspaces[workspace] || null,
+    setWorkspace: (workspace, name) => set('workspaces', workspace, name),
+  };
+}
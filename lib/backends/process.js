@@ -0,0 +1,85 @@
+/**
+ * 命令行后端的公共部分
+ *
+ * 启动 CLI 子进程、按行读取 stdout（stream-json 每行一条事件）、通过 stdin 传入提示词，
+ * 以及终止整个进程树（CLI 可能经 shell 再派生子进程）。
+ */
+
+import { spawn, execSync } from 'child_process';
+
+// ========== 终止进程树 ==========
+export function killProcessTree(child, signal = 'SIGTERM') {
+  try {
+    if (process.platform === 'win32') {
+      execSync(`taskkill /pid ${child.pid} /T /F`, { stdio: 'ignore' });
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch (e) {
+    // 进程组不存在时退回到只终止 child
+    child.kill(signal);
+  }
+}
+
+// ========== 启动 CLI 进程 ==========
+// input: 写入 stdin 的内容；onLine: stdout 的每一行；onStderr: stderr 输出
+// 返回运行句柄 { child, stop, done }，done 在进程结束时 resolve 退出码，启动失败时 reject
+export function spawnCliProcess(command, args, { cwd, env, input, onLine, onStderr }) {
+  // 显式指定 shell：Windows 用 cmd.exe，避免 Node.js 回退到 /bin/sh
+  const shellOption = process.platform === 'win32' ? process.env.ComSpec || 'cmd.exe' : true;
+  const child = spawn(command, args, {
+    cwd,
+    env,
+    shell: shellOption,
+    stdio: ['pipe', 'pipe', 'pipe'],
+    // 非 Windows 下独立进程组，终止时可连同 shell 派生的进程一起结束
+    detached: process.platform !== 'win32',
+  });
+
+  // stdout 按行切分，不完整的行留到下一次
+  let buffer = '';
+  child.stdout.on('data', (data) => {
+    buffer += data.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(line);
+    }
+  });
+  child.stderr.on('data', data => onStderr?.(data.toString()));
+
+  const done = new Promise((resolve, reject) => {
+    child.on('close', (code) => {
+      if (buffer.trim()) onLine(buffer);
+      buffer = '';
+      resolve(code);
+    });
+    child.on('error', reject);
+  });
+
+  // 进程已退出时忽略写入错误（由 close / error 事件处理）
+  child.stdin.on('error', () => {});
+  child.stdin.write(input);
+  child.stdin.end();
+
+  // 先 SIGTERM，1 秒后仍未退出则 SIGKILL
+  const stop = () => {
+    killProcessTree(child, 'SIGTERM');
+    setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) {
+        killProcessTree(child, 'SIGKILL');
+      }
+    }, 1000);
+  };
+
+  return { child, stop, done };
+}
+
+// 解析一行 JSON，非 JSON 行返回 null
+export function parseJsonLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
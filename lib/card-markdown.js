@@ -0,0 +1,203 @@
+/**
+ * Markdown 转飞书卡片元素
+ *
+ * 飞书卡片的 markdown 元素不支持标题、表格，嵌套列表和长代码块在手机上显示也很乱。
+ * 这里把 AI 输出的 Markdown 解析成块，再转换为对应的卡片元素：
+ * - 标题 → 加粗文本（一、二级标题前加分割线）
+ * - 表格 → column_set（表头灰底）
+ * - 代码块 → 带语言标签的代码块，行数较多时放入折叠面板
+ * - 嵌套列表 → 按层级缩进并使用不同的项目符号
+ * - 很长的章节 → 折叠面板
+ * - 分割线 → hr
+ * 元素数量超出预算时返回 null，由调用方退回为单个 markdown 元素。
+ */
+
+// 代码块超过此行数时折叠
+const LONG_CODE_LINES = 30;
+// 章节正文超过此长度时折叠（第一个章节始终展开）
+const LONG_SECTION_LENGTH = 3000;
+
+const BULLETS = ['•', '◦', '▪'];
+
+// ========== 解析为块 ==========
+// 块类型：heading / code / table / hr / text
+function parseBlocks(markdown) {
+  const lines = markdown.split('\n');
+  const blocks = [];
+  let text = [];
+
+  const flushText = () => {
+    if (text.some(line => line.trim())) {
+      blocks.push({ type: 'text', content: text.join('\n').replace(/^\n+|\n+$/g, '') });
+    }
+    text = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // 代码块
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (fence) {
+      flushText();
+      const marker = fence[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim().startsWith(marker) && lines[i].trim().replace(/[`~]/g, '') === '')) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', lang: fence[2] || '', code: code.join('\n') });
+      continue;
+    }
+
+    // 标题
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flushText();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    // 分割线
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushText();
+      blocks.push({ type: 'hr' });
+      continue;
+    }
+
+    // 表格：表头行 + 分隔行
+    if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+      flushText();
+      const rows = [splitRow(line)];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      i--;
+      blocks.push({ type: 'table', header: rows[0], rows: rows.slice(1) });
+      continue;
+    }
+
+    text.push(line);
+  }
+  flushText();
+  return blocks;
+}
+
+// 拆分表格行的单元格
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// 嵌套列表：按缩进层级替换项目符号并用全角空格缩进（卡片 markdown 会忽略前导空格）
+function formatLists(content) {
+  return content.split('\n').map((line) => {
+    const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (!match) return line;
+    const depth = Math.floor(match[1].replace(/\t/g, '    ').length / 2);
+    if (depth === 0 && !/^[-*+]$/.test(match[2])) return line;
+    const marker = /^[-*+]$/.test(match[2]) ? BULLETS[depth % BULLETS.length] : match[2];
+    return `${'　'.repeat(depth)}${marker} ${match[3]}`;
+  }).join('\n');
+}
+
+// ========== 块转换为卡片元素 ==========
+function codeElement(block) {
+  const label = block.lang ? `<font color='grey'>${block.lang}</font>\n` : '';
+  return { tag: 'markdown', content: `${label}\`\`\`${block.lang}\n${block.code}\n\`\`\`` };
+}
+
+function panelElement(title, elements) {
+  return {
+    tag: 'collapsible_panel',
+    expanded: false,
+    header: { title: { tag: 'markdown', content: title } },
+    border: { color: 'grey' },
+    elements,
+  };
+}
+
+function tableElements(block) {
+  const columns = Math.max(block.header.length, ...block.rows.map(row => row.length));
+  const row = (cells, header) => ({
+    tag: 'column_set',
+    flex_mode: 'none',
+    background_style: header ? 'grey' : 'default',
+    columns: Array.from({ length: columns }, (_, i) => ({
+      tag: 'column',
+      width: 'weighted',
+      weight: 1,
+      elements: [{ tag: 'markdown', content: header ? `**${cells[i] || ''}**` : (cells[i] || ' ') }],
+    })),
+  });
+  return [row(block.header, true), ...block.rows.map(cells => row(cells, false))];
+}
+
+function blockElements(block) {
+  switch (block.type) {
+    case 'heading':
+      return [{ tag: 'markdown', content: `**${block.text}**` }];
+    case 'hr':
+      return [{ tag: 'hr' }];
+    case 'table':
+      return tableElements(block);
+    case 'code': {
+      const lineCount = block.code.split('\n').length;
+      return lineCount > LONG_CODE_LINES
+        ? [panelElement(`📄 **代码${block.lang ? `（${block.lang}）` : ''}** ${lineCount} 行`, [codeElement(block)])]
+        : [codeElement(block)];
+    }
+    default:
+      return [{ tag: 'markdown', content: formatLists(block.content) }];
+  }
+}
+
+// 统计元素数量（含折叠面板和分栏中的子元素）
+function countElements(elements) {
+  return elements.reduce((sum, element) => {
+    if (element.tag === 'collapsible_panel') return sum + 1 + countElements(element.elements);
+    if (element.tag === 'column_set') return sum + 1 + element.columns.reduce((n, column) => n + 1 + countElements(column.elements), 0);
+    return sum + 1;
+  }, 0);
+}
+
+// ========== 转换入口 ==========
+// 返回卡片元素数组；超过 maxElements 时返回 null
+export function markdownToElements(markdown, { maxElements = 50 } = {}) {
+  const blocks = parseBlocks(markdown || '');
+
+  // 按标题分章节，过长的章节（第一个除外）折叠
+  const sections = [];
+  for (const block of blocks) {
+    if (block.type === 'heading' || sections.length === 0) {
+      sections.push({ heading: block.type === 'heading' ? block : null, body: [] });
+      if (block.type === 'heading') continue;
+    }
+    sections[sections.length - 1].body.push(block);
+  }
+
+  const elements = [];
+  sections.forEach((section, index) => {
+    const body = section.body.flatMap(blockElements);
+    const bodyLength = section.body.reduce((sum, b) => sum + (b.content || b.code || '').length, 0);
+    if (section.heading && index > 0 && bodyLength > LONG_SECTION_LENGTH) {
+      elements.push(panelElement(`**${section.heading.text}**`, body));
+      return;
+    }
+    if (section.heading) {
+      if (section.heading.level <= 2 && elements.length > 0 && elements[elements.length - 1].tag !== 'hr') {
+        elements.push({ tag: 'hr' });
+      }
+      elements.push(...blockElements(section.heading));
+    }
+    elements.push(...body);
+  });
+
+  // 空内容时保留一个 markdown 元素
+  if (elements.length === 0) {
+    return [{ tag: 'markdown', content: markdown || '' }];
+  }
+  return countElements(elements) > maxElements ? null : elements;
+}
@@ -0,0 +1,111 @@
+/**
+ * 工作区快照与差异
+ *
+ * 借助临时 index 文件把整个工作区（含未跟踪文件，遵循 .gitignore）写成 tree 对象，
+ * 不会改动仓库的 index、HEAD 和工作区文件。任务前后各取一次快照，即可得到本次任务的变更，
+ * 也可以把变更反向应用实现回滚。
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// ========== 执行 git 命令 ==========
+// options.env: 额外环境变量；options.input: 写入 stdin 的内容
+export function runGit(cwd, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, {
+      cwd,
+      env: { ...process.env, ...options.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    const stdout = [];
+    let stderr = '';
+    child.stdout.on('data', (data) => stdout.push(data));
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout).toString('utf-8'));
+      } else {
+        reject(new Error(`git ${args[0]} 失败（退出码 ${code}）: ${stderr.trim().substring(0, 500)}`));
+      }
+    });
+    if (options.input !== undefined) {
+      child.stdin.write(options.input);
+    }
+    child.stdin.end();
+  });
+}
+
+// 判断目录是否在 git 仓库中
+export async function isGitRepo(cwd) {
+  try {
+    return (await runGit(cwd, ['rev-parse', '--is-inside-work-tree'])).trim() === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+// ========== 工作区快照 ==========
+// 返回工作区当前内容对应的 tree 对象哈希
+export async function snapshotWorkTree(cwd) {
+  const indexFile = path.join(os.tmpdir(), `feishu-bridge-index-${process.pid}-${Date.now()}`);
+  const env = { GIT_INDEX_FILE: indexFile };
+  try {
+    // 先载入 HEAD 加速 add（空仓库没有 HEAD，跳过）
+    try {
+      await runGit(cwd, ['read-tree', 'HEAD'], { env });
+    } catch (e) {
+      // 忽略
+    }
+    await runGit(cwd, ['add', '-A', '.'], { env });
+    return (await runGit(cwd, ['write-tree'], { env })).trim();
+  } finally {
+    fs.rmSync(indexFile, { force: true });
+  }
+}
+
+// ========== 比较两个快照 ==========
+// 返回 { files: [{ path, added, removed, binary }], added, removed, patch }
+export async function diffSnapshots(cwd, before, after) {
+  if (before === after) {
+    return { files: [], added: 0, removed: 0, patch: '' };
+  }
+  const numstat = await runGit(cwd, ['diff', '--numstat', '-M', before, after]);
+  const files = numstat.split('\n').filter(Boolean).map((line) => {
+    const [added, removed, ...rest] = line.split('\t');
+    const binary = added === '-';
+    return {
+      path: rest.join('\t'),
+      added: binary ? 0 : parseInt(added, 10),
+      removed: binary ? 0 : parseInt(removed, 10),
+      binary,
+    };
+  });
+  const patch = await runGit(cwd, ['diff', '-M', before, after]);
+  return {
+    files,
+    added: files.reduce((sum, f) => sum + f.added, 0),
+    removed: files.reduce((sum, f) => sum + f.removed, 0),
+    patch,
+  };
+}
+
+// ========== 回滚变更 ==========
+// 把 before -> after 的变更反向应用到工作区（之后又被修改过的文件会导致失败）
+export async function revertSnapshot(cwd, before, after) {
+  const patch = await runGit(cwd, ['diff', '--binary', before, after]);
+  if (!patch) return;
+  await runGit(cwd, ['apply', '-R', '--whitespace=nowarn', '-'], { input: patch });
+}
+
+// ========== 提交快照 ==========
+// 用 tree 对象直接生成提交（不移动任何分支、不改动 index），返回提交哈希
+export async function commitSnapshot(cwd, tree, message, parent = null) {
+  const args = ['commit-tree', tree, ...(parent ? ['-p', parent] : [])];
+  return (await runGit(cwd, args, { input: message })).trim();
+}
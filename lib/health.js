@@ -0,0 +1,214 @@
+/**
+ * 健康检查与就绪状态
+ *
+ * 把各项依赖（飞书长连接、令牌、agent / rg 可执行文件、磁盘空间、MCP Server）的检查
+ * 组合为一份报告，供 GET /ready 和 /status 命令使用。
+ * - 关键检查（critical）失败时服务不可用（unavailable），其余检查失败时为降级（degraded）
+ * - 开销较大的检查（请求飞书接口、启动 MCP Server）可设置缓存时间，避免频繁探测
+ * - 整份报告也可以缓存几秒，并发的请求共用同一次检查（GET /ready 无需令牌，不能让每个请求都启动 MCP Server）
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+// ========== 在 PATH 中查找可执行文件 ==========
+// 返回完整路径，找不到时返回 null
+export function findExecutable(name, env = process.env) {
+  const dirs = (env.PATH || env.Path || '').split(path.delimiter).filter(Boolean);
+  const extensions = process.platform === 'win32'
+    ? ['', ...(env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').map(ext => ext.toLowerCase())]
+    : [''];
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, name + ext);
+      try {
+        const stat = fs.statSync(candidate);
+        if (!stat.isFile()) continue;
+        if (process.platform !== 'win32') fs.accessSync(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch {
+        // 不存在或不可执行，继续查找
+      }
+    }
+  }
+  return null;
+}
+
+// 字节数格式化为 GB / MB
+function formatBytes(bytes) {
+  return bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+// ========== 磁盘空间 ==========
+// 返回 { ok, detail }，可用空间低于 minFreeBytes 时不通过
+export function checkDiskSpace(dir, minFreeBytes) {
+  if (!fs.existsSync(dir)) {
+    return { ok: false, detail: `目录不存在: ${dir}` };
+  }
+  const stats = fs.statfsSync(dir);
+  const free = stats.bavail * stats.bsize;
+  const total = stats.blocks * stats.bsize;
+  const detail = `可用 ${formatBytes(free)} / 共 ${formatBytes(total)}`;
+  return free < minFreeBytes
+    ? { ok: false, detail: `${detail}，低于 ${formatBytes(minFreeBytes)}` }
+    : { ok: true, detail };
+}
+
+// ========== 探测 MCP Server ==========
+// 以 stdio 方式启动 MCP Server，完成 initialize 握手并列出工具，返回 { ok, detail }
+export function probeMcpServer(script, { timeoutMs = 10000, env = process.env } = {}) {
+  if (!fs.existsSync(script)) {
+    return Promise.resolve({ ok: false, detail: `文件不存在: ${script}` });
+  }
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [script], { env, stdio: ['pipe', 'pipe', 'pipe'] });
+    let buffer = '';
+    let stderr = '';
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      child.kill();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish({ ok: false, detail: `${Math.round(timeoutMs / 1000)} 秒内未响应` }), timeoutMs);
+    const send = message => child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+    // MCP stdio 传输：每行一条 JSON-RPC 消息
+    child.stdout.on('data', (data) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (message.error) {
+          finish({ ok: false, detail: message.error.message || JSON.stringify(message.error) });
+        } else if (message.id === 1) {
+          send({ method: 'notifications/initialized' });
+          send({ id: 2, method: 'tools/list' });
+        } else if (message.id === 2) {
+          const tools = (message.result?.tools || []).map(tool => tool.name);
+          finish({ ok: true, detail: `工具: ${tools.join(', ') || '无'}` });
+        }
+      }
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    child.on('error', error => finish({ ok: false, detail: error.message }));
+    child.on('exit', (code) => {
+      const reason = stderr.trim().split('\n').pop();
+      finish({ ok: false, detail: `进程退出（退出码 ${code}）${reason ? `: ${reason.substring(0, 200)}` : ''}` });
+    });
+    child.stdin.on('error', () => {
+      // 进程已退出，由 exit 事件处理
+    });
+
+    send({
+      id: 1,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'feishu-cursor-bridge-health', version: '1.0.0' },
+      },
+    });
+  });
+}
+
+// ========== 创建健康检查器 ==========
+// checks: [{ name, label, critical, cacheMs, run }]，run 返回 { ok, detail }（可以是异步的）
+// options.reportCacheMs: 整份报告的缓存时间，期间的请求直接返回上一次的报告
+export function createHealthChecker(checks, { reportCacheMs = 0 } = {}) {
+  const cache = new Map(); // name -> { result, expiresAt }
+  const pending = new Map(); // name -> 正在执行的检查，并发请求共用
+
+  const executeCheck = async (check) => {
+    const start = Date.now();
+    let result;
+    try {
+      result = await check.run();
+    } catch (error) {
+      result = { ok: false, detail: error.message };
+    }
+    result = { ...result, checkedAt: new Date().toISOString(), durationMs: Date.now() - start };
+    if (check.cacheMs) {
+      cache.set(check.name, { result, expiresAt: Date.now() + check.cacheMs });
+    }
+    return result;
+  };
+
+  const runCheck = (check) => {
+    const cached = cache.get(check.name);
+    if (cached && cached.expiresAt > Date.now()) return cached.result;
+    if (!pending.has(check.name)) {
+      pending.set(check.name, executeCheck(check).finally(() => pending.delete(check.name)));
+    }
+    return pending.get(check.name);
+  };
+
+  const runAll = async () => {
+    const results = await Promise.all(checks.map(async check => ({
+      name: check.name,
+      label: check.label,
+      critical: !!check.critical,
+      ...await runCheck(check),
+    })));
+    const criticalFailed = results.some(r => r.critical && !r.ok);
+    const anyFailed = results.some(r => !r.ok);
+    return {
+      ready: !criticalFailed,
+      status: criticalFailed ? 'unavailable' : anyFailed ? 'degraded' : 'ok',
+      checks: results,
+    };
+  };
+
+  let lastReport = null; // { promise, expiresAt }
+
+  // 执行所有检查，返回 { ready, status, checks }
+  const run = () => {
+    if (lastReport && lastReport.expiresAt > Date.now()) return lastReport.promise;
+    const promise = runAll();
+    // 执行期间的请求共用这次检查，完成后再缓存 reportCacheMs
+    lastReport = { promise, expiresAt: Infinity };
+    const settle = () => {
+      if (lastReport?.promise === promise) lastReport.expiresAt = Date.now() + reportCacheMs;
+    };
+    promise.then(settle, () => {
+      if (lastReport?.promise === promise) lastReport = null;
+    });
+    return promise;
+  };
+
+  return { run };
+}
+
+// ========== GET /ready 响应 ==========
+// 返回 { status, body }：关键检查失败或检查本身出错时为 503
+// detailed: 请求带有效令牌时附带每项检查的详情；extra(): 详情中追加的字段（任务数、会话数等）
+export async function buildReadyResponse(checker, { detailed = false, extra = () => ({}) } = {}) {
+  let report;
+  try {
+    report = await checker.run();
+  } catch (error) {
+    console.error('[健康检查] 执行失败:', error.message);
+    return { status: 503, body: { success: false, error: `健康检查失败: ${error.message}`, code: 'health_check_failed' } };
+  }
+  return {
+    status: report.ready ? 200 : 503,
+    body: {
+      ready: report.ready,
+      status: report.status,
+      ...(detailed ? { checks: report.checks, ...extra() } : {}),
+    },
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * 结构化日志
+ *
+ * 每条日志写为一行 JSON（time、level、tag、msg 以及上下文中的 taskId / threadKey / messageId），
+ * 上下文通过 AsyncLocalStorage 在异步调用链中自动传递，无需逐层传参。
+ * 日志文件写在独立的日志目录中，超过大小上限或跨天时轮转，只保留最近的若干个文件。
+ * 查询时从文件末尾向前按块读取，找到足够的匹配行即停止，不会把整个文件读进内存。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const CONTEXT_KEYS = ['taskId', 'threadKey', 'messageId', 'chatId'];
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// 日期转为文件名中的时间戳（精确到毫秒）：20260101-120000-123
+function fileStamp(date) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}-${pad(date.getMilliseconds(), 3)}`;
+}
+
+function dayOf(date) {
+  return date.toDateString();
+}
+
+// 把 console 参数拼接为一条消息
+function formatArgs(args) {
+  return args.map((arg) => {
+    if (arg instanceof Error) return arg.stack || arg.message;
+    return typeof arg === 'object' ? JSON.stringify(arg) : String(arg);
+  }).join(' ');
+}
+
+// 解析 --since 参数：30m / 2h / 1d 或日期时间字符串，返回毫秒时间戳，无效返回 null
+export function parseSince(text, now = Date.now()) {
+  const match = String(text).match(/^(\d+)\s*([smhd])$/i);
+  if (match) {
+    const unit = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2].toLowerCase()];
+    return now - parseInt(match[1], 10) * unit;
+  }
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+}
+
+// 从文件末尾向前逐行读取，onLine 返回 false 时停止
+function readLinesReverse(file, onLine) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    let leftover = Buffer.alloc(0);
+    while (position > 0) {
+      const size = Math.min(READ_CHUNK_SIZE, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      fs.readSync(fd, chunk, 0, size, position);
+      const buffer = Buffer.concat([chunk, leftover]);
+      // 按换行切分（UTF-8 中换行字节不会出现在多字节字符内部），最前面不完整的一段留到下一块
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        const line = buffer.toString('utf-8', i + 1, end);
+        end = i;
+        if (line.trim() && onLine(line) === false) return;
+      }
+      leftover = buffer.subarray(0, end);
+    }
+    const first = leftover.toString('utf-8');
+    if (first.trim()) onLine(first);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// 解析一行日志，非 JSON 行（旧格式）按纯文本处理
+function parseLine(line) {
+  try {
+    const entry = JSON.parse(line);
+    if (entry && typeof entry === 'object') return entry;
+  } catch {
+    // 旧格式日志
+  }
+  return { msg: line };
+}
+
+// ========== 创建日志器 ==========
+// dir: 日志目录；level: 最低记录级别；maxSize: 单个文件大小上限（字节）；maxFiles: 保留的轮转文件数
+// output: 同步输出到控制台的函数 { info, error }（传入原始的 console.log / console.error）
+export function createLogger({ dir, fileName = 'bridge.log', level = 'info', maxSize = 10 * 1024 * 1024, maxFiles = 10, output = null } = {}) {
+  const storage = new AsyncLocalStorage();
+  const file = path.join(dir, fileName);
+  const baseName = path.basename(fileName, '.log');
+  const minLevel = Math.max(0, LEVELS.indexOf(level));
+
+  fs.mkdirSync(dir, { recursive: true });
+  let size = 0;
+  let day = dayOf(new Date());
+  if (fs.existsSync(file)) {
+    const stat = fs.statSync(file);
+    size = stat.size;
+    day = dayOf(stat.mtime);
+  }
+
+  // 轮转后的文件，新的在前
+  const rotatedFiles = () => fs.readdirSync(dir)
+    .filter(name => name.startsWith(`${baseName}-`) && name.endsWith('.log'))
+    .sort()
+    .reverse()
+    .map(name => path.join(dir, name));
+
+  // 上次轮转使用的时间戳：旧归档被清理后，不能再用比它早的文件名
+  let lastStamp = 0;
+
+  const rotate = (now) => {
+    try {
+      // 同一毫秒内多次轮转时顺延 1 毫秒，不覆盖已有的归档，也保持按文件名排序即按时间排序
+      let stamp = Math.max(now.getTime(), lastStamp + 1);
+      let target;
+      while (fs.existsSync(target = path.join(dir, `${baseName}-${fileStamp(new Date(stamp))}.log`))) {
+        stamp += 1;
+      }
+      lastStamp = stamp;
+      fs.renameSync(file, target);
+      for (const old of rotatedFiles().slice(maxFiles)) {
+        fs.unlinkSync(old);
+      }
+    } catch (error) {
+      output?.error(`[日志] 轮转失败: ${error.message}`);
+    }
+    size = 0;
+  };
+
+  // 写入一条日志
+  const write = (levelName, args) => {
+    if (LEVELS.indexOf(levelName) < minLevel) return;
+    const now = new Date();
+    const message = formatArgs(args);
+    const entry = { time: now.toISOString(), level: levelName };
+    // 消息开头的 [标签] 单独记录，便于筛选
+    const tag = message.match(/^\[([^\]]{1,30})\]\s*/);
+    if (tag) entry.tag = tag[1];
+    entry.msg = tag ? message.slice(tag[0].length) : message;
+    const context = storage.getStore();
+    for (const key of CONTEXT_KEYS) {
+      if (context?.[key]) entry[key] = context[key];
+    }
+
+    if (output) {
+      (levelName === 'error' || levelName === 'warn' ? output.error : output.info)(...args);
+    }
+
+    const line = `${JSON.stringify(entry)}\n`;
+    const lineSize = Buffer.byteLength(line);
+    if (size > 0 && (size + lineSize > maxSize || dayOf(now) !== day)) {
+      rotate(now);
+    }
+    day = dayOf(now);
+    try {
+      fs.appendFileSync(file, line);
+      size += lineSize;
+    } catch {
+      // 忽略写入错误
+    }
+  };
+
+  // 在指定上下文中执行 fn，上下文与外层合并，fn 中（含异步回调）的日志都会带上这些字段
+  const runWithContext = (context, fn) => storage.run({ ...storage.getStore(), ...context }, fn);
+
+  // 查询日志：从最新的日志开始向前查找，返回按时间正序排列的最多 limit 条
+  // filter: { level: 最低级别, taskId, grep: 包含的文本（不区分大小写）, since: 毫秒时间戳 }
+  const query = ({ limit = 10, level: filterLevel, taskId, grep, since } = {}) => {
+    const min = filterLevel ? LEVELS.indexOf(filterLevel) : -1;
+    const needle = grep ? grep.toLowerCase() : null;
+    const result = [];
+    let reachedSince = false;
+
+    for (const target of [file, ...rotatedFiles()]) {
+      if (!fs.existsSync(target)) continue;
+      readLinesReverse(target, (line) => {
+        const entry = parseLine(line);
+        if (since && entry.time && Date.parse(entry.time) < since) {
+          reachedSince = true;
+          return false;
+        }
+        if (min >= 0 && LEVELS.indexOf(entry.level) < min) return true;
+        if (taskId && entry.taskId !== taskId) return true;
+        if (needle && !`${entry.tag || ''} ${entry.msg}`.toLowerCase().includes(needle)) return true;
+        result.push(entry);
+        return result.length < limit;
+      });
+      if (result.length >= limit || reachedSince) break;
+    }
+    return result.reverse();
+  };
+
+  return {
+    file,
+    write,
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+    runWithContext,
+    getContext: () => storage.getStore() || {},
+    query,
+  };
+}
+
+// 格式化一条日志用于在聊天中展示
+export function formatLogEntry(entry) {
+  if (!entry.time) return entry.msg;
+  const time = new Date(entry.time).toLocaleString();
+  const level = (entry.level || 'info').toUpperCase();
+  const tag = entry.tag ? `[${entry.tag}] ` : '';
+  const task = entry.taskId ? ` (${entry.taskId})` : '';
+  return `${time} ${level}${task} ${tag}${entry.msg}`;
+}
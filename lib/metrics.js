@@ -0,0 +1,129 @@
+/**
+ * Prometheus 指标
+ *
+ * 不依赖 prom-client 的最小实现：支持计数器（counter）、仪表（gauge）和直方图（histogram），
+ * render() 输出 Prometheus 文本格式（text/plain; version=0.0.4），供 GET /metrics 使用。
+ * 仪表可传入 collect 函数，在每次抓取时读取当前值（如活跃任务数、会话数）。
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 转义标签值中的反斜杠、双引号和换行
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// 把标签对象格式化为 {a="1",b="2"}，没有标签时为空字符串
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// 按标签名顺序生成序列的 key
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+// ========== 创建指标注册表 ==========
+// prefix: 所有指标名的前缀，如 cursor_bridge_
+export function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  // 计数器：只增不减
+  const counter = (name, help, labelNames = []) => {
+    const series = new Map(); // key -> { labels, value }
+    const metric = {
+      name: prefix + name,
+      help,
+      type: 'counter',
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      lines() {
+        return [...series.values()].map(({ labels, value }) => `${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  // 仪表：collect 返回数值或 [{ labels, value }]
+  const gauge = (name, help, collect) => {
+    const metric = {
+      name: prefix + name,
+      help,
+      type: 'gauge',
+      lines() {
+        const value = collect();
+        const values = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return values.map(entry => `${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  // 直方图：buckets 为升序的上界（秒等单位由调用方决定），自动补上 +Inf
+  const histogram = (name, help, buckets, labelNames = []) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map(); // key -> { labels, counts, sum, count }
+    const metric = {
+      name: prefix + name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      },
+      // 开始计时，返回结束函数（记录经过的秒数）
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+      lines() {
+        const result = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          bounds.forEach((bound, i) => {
+            result.push(`${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+          });
+          result.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          result.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+          result.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return result;
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  // 输出所有指标（Prometheus 文本格式）
+  const render = () => metrics.map((metric) => {
+    let lines;
+    try {
+      lines = metric.lines();
+    } catch (error) {
+      console.error(`[指标] 采集 ${metric.name} 失败: ${error.message}`);
+      lines = [];
+    }
+    return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+  }).join('\n') + '\n';
+
+  return { counter, gauge, histogram, render };
+}
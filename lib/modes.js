@@ -0,0 +1,79 @@
+/**
+ * 执行模式定义
+ *
+ * 每种模式对应各自的 CLI 参数、写权限、提示词前言和卡片样式：
+ * - agent：执行模式，允许修改文件（--force）
+ * - ask：只读问答，不允许任何写操作
+ * - plan：只输出规划文档，不执行修改
+ */
+
+// ========== 模式表 ==========
+export const MODES = {
+  agent: {
+    name: 'agent',
+    label: '执行',
+    icon: '🛠️',
+    // --force：自动批准文件修改和命令执行
+    cliArgs: ['--force'],
+    writable: true,
+    preamble: '',
+    card: { streaming: 'wathet', done: 'green' },
+  },
+  ask: {
+    name: 'ask',
+    label: '查询',
+    icon: '❓',
+    // 只读问答模式：不带 --force，CLI 不会落盘任何修改
+    cliArgs: ['--mode', 'ask'],
+    writable: false,
+    preamble: '【只读问答模式】请只阅读代码并回答问题，不要创建、修改或删除任何文件，也不要执行任何终端命令（执行命令会导致任务被终止）。',
+    card: { streaming: 'indigo', done: 'blue' },
+  },
+  plan: {
+    name: 'plan',
+    label: '规划',
+    icon: '📋',
+    cliArgs: ['--mode', 'plan'],
+    writable: false,
+    preamble: '【规划模式】请只做分析，输出一份 Markdown 格式的实施计划文档（目标、涉及文件、具体步骤、风险与验证方式），不要修改文件，也不要执行任何终端命令（执行命令会导致任务被终止）。',
+    card: { streaming: 'purple', done: 'violet' },
+  },
+};
+
+// 是否为已定义的模式（只认 MODES 自身的键，"toString" 等原型属性不算）
+export function isMode(name) {
+  return typeof name === 'string' && Object.hasOwn(MODES, name);
+}
+
+// 获取模式定义，未知模式回退到 agent
+export function getMode(name) {
+  return isMode(name) ? MODES[name] : MODES.agent;
+}
+
+// 为提示词加上模式前言
+export function buildModePrompt(mode, prompt) {
+  const { preamble } = getMode(mode);
+  return preamble ? `${preamble}\n\n${prompt}` : prompt;
+}
+
+// ========== 只读守卫 ==========
+// stream-json 中会修改文件的工具调用类型
+const WRITE_TOOL_CALLS = ['writeToolCall', 'editToolCall', 'deleteToolCall'];
+
+// 检测一条 stream-json 事件是否为只读模式不允许的操作：写文件，或执行命令
+// （命令可能通过 rm、sed -i、git commit 等修改文件，无法可靠判断，只读模式一律不允许）
+// 返回 { type: 'file' | 'shell', target }，target 为文件路径（未知时为工具名）或命令；允许的操作返回 null
+export function detectWriteAttempt(event) {
+  if (event?.type !== 'tool_call' || !event.tool_call) return null;
+  for (const key of WRITE_TOOL_CALLS) {
+    const call = event.tool_call[key];
+    if (call) {
+      return { type: 'file', target: call.args?.path || key };
+    }
+  }
+  const shell = event.tool_call.shellToolCall;
+  if (shell) {
+    return { type: 'shell', target: shell.args?.command || 'shellToolCall' };
+  }
+  return null;
+}
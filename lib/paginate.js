@@ -0,0 +1,93 @@
+/**
+ * 长文本分页
+ *
+ * 飞书消息和卡片有长度限制，长回复按 Markdown 结构切分为多页：
+ * 优先在段落之间（代码块外的空行）切分，其次在行之间切分；不得不在代码块中间切分时，
+ * 当前页补上结束围栏，下一页以相同的开始围栏（含语言标记）接上，保证每页代码块完整。
+ */
+
+// 代码块围栏：``` 或 ~~~，开始围栏可带语言标记，结束围栏只有围栏字符
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+const CLOSING_FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*$/;
+
+// ========== 按 Markdown 边界切分 ==========
+// 返回页面数组，每页长度不超过 maxLength（单行超长时强制切断）
+export function splitMarkdown(text, maxLength) {
+  if (!text || text.length <= maxLength) return [text];
+
+  const pages = [];
+  let lines = [];
+  let length = 0;
+  let fence = null; // 当前所在代码块的开始围栏行，不在代码块中为 null
+  let lastBreak = -1; // 最近一个代码块外空行在 lines 中的下标
+
+  const closing = () => fence.match(FENCE_PATTERN)[1];
+
+  // 输出当前页；upTo 为保留到的行数（其余行移到下一页）
+  const flush = (upTo = lines.length) => {
+    const pageLines = lines.slice(0, upTo);
+    const rest = lines.slice(upTo);
+    // 在代码块中间切分：当前页补结束围栏，下一页重新打开
+    if (fence && upTo === lines.length) {
+      pageLines.push(closing());
+      rest.unshift(fence);
+    }
+    const page = pageLines.join('\n').replace(/\n+$/, '');
+    if (page.trim()) pages.push(page);
+    lines = rest;
+    length = rest.reduce((sum, line) => sum + line.length + 1, 0);
+    lastBreak = -1;
+  };
+
+  // 超长行切段的长度：给围栏留出余量，maxLength 很小时至少保留一半，避免步长为 0 死循环
+  const segmentLength = Math.max(maxLength - 100, Math.floor(maxLength / 2), 1);
+
+  for (const rawLine of text.split('\n')) {
+    // 单行超长：先切成多段
+    const segments = [];
+    for (let i = 0; i < rawLine.length || i === 0; i += segmentLength) {
+      segments.push(rawLine.substring(i, i + segmentLength));
+    }
+
+    for (const line of segments) {
+      const reserve = fence ? fence.length + 1 : 0;
+      // 当前页只有刚打开的围栏时不切分，避免产生空代码块
+      if (length + line.length + 1 + reserve > maxLength && lines.length > (fence && lines.length === 1 ? 1 : 0)) {
+        // 段落边界足够靠后时在段落处切分，否则在当前行之前切分
+        if (lastBreak > 0 && lines.slice(0, lastBreak).join('\n').length >= maxLength / 2) {
+          flush(lastBreak + 1);
+        } else {
+          flush();
+        }
+      }
+
+      lines.push(line);
+      length += line.length + 1;
+
+      if (!fence && FENCE_PATTERN.test(line)) {
+        fence = line;
+      } else if (fence) {
+        const closeMatch = line.match(CLOSING_FENCE_PATTERN);
+        if (closeMatch && closeMatch[1][0] === closing()[0] && closeMatch[1].length >= closing().length) {
+          fence = null;
+        }
+      } else if (line.trim() === '') {
+        lastBreak = lines.length - 1;
+      }
+    }
+  }
+  if (lines.length > 0) {
+    fence = null;
+    flush();
+  }
+  return pages;
+}
+
+// ========== 脱敏后分页 ==========
+// 必须先对完整内容脱敏再切分：跨页的密钥（如私钥块）切开后，每一半都匹配不到脱敏规则
+// redact: 脱敏函数（lib/redact.js），返回 { text, count }
+// 返回 { text, pages, redactedCount }：脱敏后的完整内容、分页结果和隐藏的总数
+export function redactAndSplit(content, maxLength, redact) {
+  const { text, count } = redact(content);
+  return { text, pages: splitMarkdown(text, maxLength), redactedCount: count };
+}
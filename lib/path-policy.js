@@ -0,0 +1,136 @@
+/**
+ * 文件路径策略
+ *
+ * 聊天中的 /file、本地 API 的 /send-file 以及 MCP 工具（index.js 和 mcp-server.js 共用）
+ * 在读写文件前都要经过这里：
+ * - 解析符号链接（realpath），防止用链接指向工作区之外
+ * - 只允许访问允许的根目录（工作区 + PATH_ALLOWED_ROOTS 中的额外目录）
+ * - 拦截敏感文件（.env、私钥、凭据存储等，可用 PATH_SECRET_PATTERNS 追加），管理员可强制放行
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// ========== 默认敏感文件规则 ==========
+// 匹配路径中的任意一段（文件名或目录名）
+const DEFAULT_SECRET_PATTERNS = [
+  '.env',
+  '.env.*',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  '*.jks',
+  '*.keystore',
+  'id_rsa*',
+  'id_dsa*',
+  'id_ecdsa*',
+  'id_ed25519*',
+  '.ssh',
+  '.gnupg',
+  '.aws',
+  '.azure',
+  '.kube',
+  '.docker',
+  '.netrc',
+  '.npmrc',
+  '.pypirc',
+  '.git-credentials',
+  'credentials',
+  'credentials.json',
+];
+
+// 虽然匹配 .env.* 但只是模板，不含真实值
+const SAFE_NAMES = ['.env.example', '.env.sample', '.env.template'];
+
+// 把简单的通配符（* 和 ?）转换为正则表达式
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// 从环境变量读取逗号分隔的列表
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// 解析真实路径：不存在的路径取最近的已存在祖先目录解析后再拼接剩余部分
+function realpathLoose(target) {
+  let current = target;
+  const rest = [];
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    rest.unshift(path.basename(current));
+    current = parent;
+  }
+  return path.join(fs.realpathSync(current), ...rest);
+}
+
+// child 是否在 root 目录之内（含 root 本身）
+function isInside(root, child) {
+  const relative = path.relative(root, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// ========== 创建路径策略 ==========
+// extraRoots: 除工作目录外额外允许的目录；secretPatterns: 追加的敏感文件规则
+export function createPathPolicy({ extraRoots = [], secretPatterns = [] } = {}) {
+  const secretRegExps = [...DEFAULT_SECRET_PATTERNS, ...secretPatterns].map(globToRegExp);
+
+  // 返回路径中命中的敏感规则片段，未命中返回 null
+  const findSecret = (realPath, root) => {
+    const segments = path.relative(root, realPath).split(path.sep).filter(Boolean);
+    for (const segment of segments) {
+      if (SAFE_NAMES.includes(segment)) continue;
+      if (secretRegExps.some(re => re.test(segment))) return segment;
+    }
+    return null;
+  };
+
+  // 检查路径，返回 { allowed: true, path } 或 { allowed: false, path, reason }
+  // options.baseDir: 相对路径的基准目录（也是默认允许的根目录）
+  // options.mustExist: 路径必须存在（读取、发送）；options.allowSecrets: 管理员强制放行敏感文件
+  const check = (filePath, { baseDir, mustExist = true, allowSecrets = false } = {}) => {
+    const requested = path.resolve(baseDir, filePath);
+    if (mustExist && !fs.existsSync(requested)) {
+      return { allowed: false, path: requested, reason: `文件不存在: ${filePath}` };
+    }
+
+    let realPath;
+    try {
+      realPath = realpathLoose(requested);
+    } catch (error) {
+      return { allowed: false, path: requested, reason: `无法解析路径: ${error.message}` };
+    }
+
+    const roots = [baseDir, ...extraRoots]
+      .filter(root => fs.existsSync(root))
+      .map(root => fs.realpathSync(root));
+    const root = roots.find(r => isInside(r, realPath));
+    if (!root) {
+      const linked = realPath !== requested ? `（符号链接指向 ${realPath}）` : '';
+      return { allowed: false, path: realPath, reason: `${filePath}${linked} 不在允许访问的目录内，只能访问工作目录${extraRoots.length > 0 ? '及配置的额外目录' : ''}中的文件` };
+    }
+
+    const secret = findSecret(realPath, root);
+    if (secret && !allowSecrets) {
+      return { allowed: false, path: realPath, reason: `${filePath} 可能包含密钥或凭据（匹配 ${secret}），已拒绝访问` };
+    }
+
+    return { allowed: true, path: realPath };
+  };
+
+  return { check };
+}
+
+// 从环境变量创建路径策略（PATH_ALLOWED_ROOTS、PATH_SECRET_PATTERNS）
+export function createPathPolicyFromEnv(env = process.env) {
+  return createPathPolicy({
+    extraRoots: splitList(env.PATH_ALLOWED_ROOTS).map(root => path.resolve(root)),
+    secretPatterns: splitList(env.PATH_SECRET_PATTERNS),
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * 从话题的变更创建 PR / MR
+ *
+ * 把工作目录当前内容提交到一个新分支（通过快照生成提交，不改动本地分支、index 和工作区），
+ * 推送到配置的远程仓库，再通过代码托管平台的 REST API 创建 PR / MR。
+ *
+ * 平台通过 provider 接口接入，每个 provider 实现：
+ *   createPullRequest({ title, body, head, base }) -> { url, number }
+ * 内置 GitHub、GitLab、Gitea，未配置平台时只推送分支。
+ */
+
+import { runGit, snapshotWorkTree, diffSnapshots, commitSnapshot } from './git-snapshot.js';
+
+// ========== 调用平台 API ==========
+async function requestJson(url, { method = 'POST', headers = {}, body }) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (e) {
+    // 非 JSON 响应，保留原文用于报错
+  }
+  if (!response.ok) {
+    const detail = data?.message || data?.error || text;
+    throw new Error(`创建 PR 失败（HTTP ${response.status}）: ${String(detail).substring(0, 300)}`);
+  }
+  return data;
+}
+
+// ========== 平台实现 ==========
+const PROVIDERS = {
+  github: ({ apiUrl = 'https://api.github.com', token, repo }) => ({
+    name: 'GitHub',
+    async createPullRequest({ title, body, head, base }) {
+      const data = await requestJson(`${apiUrl}/repos/${repo}/pulls`, {
+        headers: { Authorization: `Bearer ${token}`, 'X-GitHub-Api-Version': '2022-11-28' },
+        body: { title, body, head, base },
+      });
+      return { url: data.html_url, number: data.number };
+    },
+  }),
+
+  gitlab: ({ apiUrl = 'https://gitlab.com/api/v4', token, repo }) => ({
+    name: 'GitLab',
+    async createPullRequest({ title, body, head, base }) {
+      const data = await requestJson(`${apiUrl}/projects/${encodeURIComponent(repo)}/merge_requests`, {
+        headers: { 'PRIVATE-TOKEN': token },
+        body: { title, description: body, source_branch: head, target_branch: base },
+      });
+      return { url: data.web_url, number: data.iid };
+    },
+  }),
+
+  gitea: ({ apiUrl, token, repo }) => {
+    if (!apiUrl) {
+      throw new Error('Gitea 需要配置 PR_API_URL（例如 https://gitea.example.com/api/v1）');
+    }
+    return {
+      name: 'Gitea',
+      async createPullRequest({ title, body, head, base }) {
+        const data = await requestJson(`${apiUrl}/repos/${repo}/pulls`, {
+          headers: { Authorization: `token ${token}` },
+          body: { title, body, head, base },
+        });
+        return { url: data.html_url, number: data.number };
+      },
+    };
+  },
+};
+
+// ========== 创建 provider ==========
+// options: { provider, apiUrl, token, repo }；provider 为空时返回 null（只推送分支）
+export function createPullRequestProvider({ provider, apiUrl, token, repo }) {
+  if (!provider) return null;
+  const factory = PROVIDERS[provider.toLowerCase()];
+  if (!factory) {
+    throw new Error(`PR 配置错误：不支持的平台 "${provider}"，可选 ${Object.keys(PROVIDERS).join(' / ')}`);
+  }
+  if (!token || !repo) {
+    throw new Error('PR 配置错误：请同时配置 PR_TOKEN 和 PR_REPO');
+  }
+  return factory({ apiUrl: apiUrl ? apiUrl.replace(/\/+$/, '') : undefined, token, repo });
+}
+
+// ========== 提交、推送并创建 PR ==========
+// options: { cwd, title, body, branch, base, remote, provider }
+// 返回 { branch, base, commit, files, added, removed, pullRequest }；没有变更时返回 null
+export async function openPullRequest({ cwd, title, body = '', branch, base, remote = 'origin', provider = null }) {
+  const parent = (await runGit(cwd, ['rev-parse', 'HEAD'])).trim();
+  const tree = await snapshotWorkTree(cwd);
+  const diff = await diffSnapshots(cwd, parent, tree);
+  if (diff.files.length === 0) return null;
+
+  // 未指定目标分支时使用当前检出的分支
+  const targetBranch = base || (await runGit(cwd, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+  if (targetBranch === 'HEAD') {
+    throw new Error('当前处于分离 HEAD 状态，请配置 PR_BASE_BRANCH 指定目标分支');
+  }
+
+  const message = body ? `${title}\n\n${body}` : title;
+  const commit = await commitSnapshot(cwd, tree, message, parent);
+  await runGit(cwd, ['push', remote, `${commit}:refs/heads/${branch}`]);
+  console.log(`[PR] 已推送 ${commit.substring(0, 8)} 到 ${remote}/${branch}`);
+
+  const pullRequest = provider
+    ? await provider.createPullRequest({ title, body, head: branch, base: targetBranch })
+    : null;
+  if (pullRequest) {
+    console.log(`[PR] 已创建 ${provider.name} PR: ${pullRequest.url}`);
+  }
+
+  return { branch, base: targetBranch, commit, files: diff.files, added: diff.added, removed: diff.removed, pullRequest };
+}
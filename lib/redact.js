@@ -0,0 +1,115 @@
+/**
+ * 敏感信息脱敏
+ *
+ * 所有发回飞书的文本（消息、卡片内容、执行步骤、diff 面板）在发送前都会经过这里，
+ * 把以下内容替换为 [已隐藏]：
+ * - .env 中密钥类变量的值（变量名包含 SECRET / TOKEN / KEY / PASSWORD 等，可用 REDACT_ENV_KEYS 追加）
+ * - 常见令牌格式：AWS、GitHub、GitLab、Slack、Google、OpenAI/Anthropic、JWT、私钥块
+ * - REDACT_PATTERNS 中自定义的正则表达式
+ */
+
+import fs from 'fs';
+import { parse as parseDotenv } from 'dotenv';
+
+export const REDACTED = '[已隐藏]';
+
+// 变量名看起来像密钥时才脱敏其值，避免把路径、端口等普通配置也隐藏掉
+const SECRET_KEY_PATTERN = /SECRET|TOKEN|PASSWORD|PASSWD|PRIVATE|CREDENTIAL|API_?KEY|ACCESS_?KEY/i;
+
+// 太短的值容易误伤正常文本
+const MIN_SECRET_LENGTH = 6;
+
+// ========== 常见令牌格式 ==========
+const BUILTIN_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  /(?<=aws_secret_access_key\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/gi,
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{22,}\b/g,
+  /\bglpat-[A-Za-z0-9_-]{20,}\b/g,
+  /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g,
+  /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}\b/g,
+  /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\b/g,
+];
+
+// 转义正则特殊字符
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 从 .env 文件中收集密钥类变量的值
+function collectEnvSecrets(envFiles, extraKeys) {
+  const values = new Set();
+  for (const file of envFiles) {
+    if (!file || !fs.existsSync(file)) continue;
+    try {
+      const parsed = parseDotenv(fs.readFileSync(file));
+      for (const [key, value] of Object.entries(parsed)) {
+        if ((SECRET_KEY_PATTERN.test(key) || extraKeys.includes(key)) && value.length >= MIN_SECRET_LENGTH) {
+          values.add(value);
+        }
+      }
+    } catch (error) {
+      console.error(`[脱敏] 读取 ${file} 失败: ${error.message}`);
+    }
+  }
+  return values;
+}
+
+// 解析 REDACT_PATTERNS：JSON 字符串数组，每一项是一个正则表达式
+export function parseRedactPatterns(text) {
+  if (!text) return [];
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`REDACT_PATTERNS 需要是 JSON 字符串数组，例如 ["corp-[0-9a-f]{32}"]: ${error.message}`);
+  }
+  if (!Array.isArray(list)) {
+    throw new Error('REDACT_PATTERNS 需要是 JSON 字符串数组');
+  }
+  return list.map((source) => {
+    try {
+      return new RegExp(source, 'g');
+    } catch (error) {
+      throw new Error(`REDACT_PATTERNS 中的正则表达式无效 "${source}": ${error.message}`);
+    }
+  });
+}
+
+// ========== 创建脱敏器 ==========
+// envFiles: 读取密钥值的 .env 文件；values: 额外需要隐藏的值；patterns: 自定义正则；extraKeys: 额外视为密钥的变量名
+export function createRedactor({ envFiles = [], values = [], patterns = [], extraKeys = [] } = {}) {
+  const secrets = collectEnvSecrets(envFiles, extraKeys);
+  for (const value of values) {
+    if (value && value.length >= MIN_SECRET_LENGTH) secrets.add(value);
+  }
+
+  // 长值优先匹配，避免短值先替换掉长值的一部分
+  const literal = secrets.size > 0
+    ? new RegExp([...secrets].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'g')
+    : null;
+  const allPatterns = [...(literal ? [literal] : []), ...BUILTIN_PATTERNS, ...patterns];
+
+  // 返回 { text, count }：脱敏后的文本和被隐藏的数量
+  const redact = (text) => {
+    if (!text) return { text, count: 0 };
+    let count = 0;
+    let result = String(text);
+    for (const pattern of allPatterns) {
+      result = result.replace(pattern, () => {
+        count++;
+        return REDACTED;
+      });
+    }
+    return { text: result, count };
+  };
+
+  return {
+    redact,
+    get secretCount() {
+      return secrets.size;
+    },
+  };
+}
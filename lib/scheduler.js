@@ -0,0 +1,202 @@
+/**
+ * 定时任务
+ *
+ * 支持标准 5 段 cron 表达式（分 时 日 月 周，按服务器本地时间），以及
+ * @hourly / @daily / @weekly / @monthly 简写。任务持久化到数据目录，服务重启后继续生效。
+ * 每分钟检查一次，到点的任务交给 onRun 回调执行（同一分钟内只触发一次）。
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// 各字段的取值范围：分、时、日、月、周（0 和 7 都表示周日）
+const FIELDS = [
+  { name: '分钟', min: 0, max: 59 },
+  { name: '小时', min: 0, max: 23 },
+  { name: '日期', min: 1, max: 31 },
+  { name: '月份', min: 1, max: 12 },
+  { name: '星期', min: 0, max: 7 },
+];
+
+// 解析单个字段，返回允许的取值集合
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`cron 表达式的${name}字段无效: ${part}`);
+    }
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+    if (to === undefined) to = stepText ? max : from;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`cron 表达式的${name}字段超出范围: ${part}（${min}-${max}）`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// ========== 解析 cron 表达式 ==========
+// 返回 { expr, matches(date) }，表达式无效时抛出错误
+export function parseCron(expr) {
+  const normalized = ALIASES[expr.trim().toLowerCase()] || expr.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('cron 表达式需要 5 段：分 时 日 月 周，例如 "0 9 * * 1-5"');
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  // 日和周都被限制时，满足其一即可（与标准 cron 一致）
+  const dayRestricted = parts[2] !== '*';
+  const weekdayRestricted = parts[4] !== '*';
+
+  const matches = (date) => {
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+      return false;
+    }
+    const dayMatch = days.has(date.getDate());
+    const weekdayMatch = weekdays.has(date.getDay());
+    if (dayRestricted && weekdayRestricted) return dayMatch || weekdayMatch;
+    return dayMatch && weekdayMatch;
+  };
+
+  return { expr: normalized, matches };
+}
+
+// 计算 from 之后的下一次触发时间（最多向后查找一年），找不到时返回 null
+export function nextRunTime(expr, from = new Date()) {
+  const cron = parseCron(expr);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    date.setMinutes(date.getMinutes() + 1);
+    if (cron.matches(date)) return date;
+  }
+  return null;
+}
+
+// ========== 创建调度器 ==========
+// file: 任务持久化文件；onRun(job): 到点时执行任务
+export function createScheduler({ file, onRun }) {
+  const jobs = new Map();
+  try {
+    if (fs.existsSync(file)) {
+      for (const job of JSON.parse(fs.readFileSync(file, 'utf-8')).jobs || []) {
+        jobs.set(job.id, job);
+      }
+    }
+  } catch (error) {
+    console.error(`[定时任务] 读取任务文件失败: ${error.message}`);
+  }
+
+  const persist = () => {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, jobs: [...jobs.values()] }, null, 2));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      console.error(`[定时任务] 写入任务文件失败: ${error.message}`);
+    }
+  };
+
+  let timer = null;
+
+  // 检查当前分钟到点的任务
+  const tick = () => {
+    const now = new Date();
+    now.setSeconds(0, 0);
+    const minute = now.getTime();
+    for (const job of jobs.values()) {
+      let cron;
+      try {
+        cron = parseCron(job.expr);
+      } catch (error) {
+        continue;
+      }
+      if (job.disabled || job.lastRunAt === minute || !cron.matches(now)) continue;
+      job.lastRunAt = minute;
+      job.runs = (job.runs || 0) + 1;
+      persist();
+      console.log(`[定时任务] 触发 ${job.id}: ${job.prompt.substring(0, 50)}`);
+      Promise.resolve()
+        .then(() => onRun(job))
+        .catch(error => console.error(`[定时任务] ${job.id} 执行失败:`, error.message));
+    }
+  };
+
+  // 对齐到下一分钟开始时检查
+  const schedule = () => {
+    const delay = 60000 - (Date.now() % 60000) + 500;
+    timer = setTimeout(() => {
+      tick();
+      schedule();
+    }, delay);
+  };
+
+  return {
+    // 添加任务，返回任务对象（表达式无效时抛出错误）
+    add(spec) {
+      const { expr } = parseCron(spec.expr);
+      const job = { ...spec, expr, id: crypto.randomBytes(3).toString('hex'), createdAt: Date.now(), lastRunAt: null, runs: 0 };
+      jobs.set(job.id, job);
+      persist();
+      return job;
+    },
+
+    remove(id) {
+      const existed = jobs.delete(id);
+      if (existed) persist();
+      return existed;
+    },
+
+    // 停用任务（保留在列表中，不再触发），reason 为停用原因
+    disable(id, reason) {
+      const job = jobs.get(id);
+      if (!job) return false;
+      job.disabled = { reason, at: Date.now() };
+      persist();
+      return true;
+    },
+
+    // 重新启用已停用的任务，任务不存在或未停用时返回 false
+    enable(id) {
+      const job = jobs.get(id);
+      if (!job || !job.disabled) return false;
+      delete job.disabled;
+      persist();
+      return true;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    // 列出任务，可按条件过滤
+    list(filter = () => true) {
+      return [...jobs.values()].filter(filter);
+    },
+
+    start() {
+      if (!timer) schedule();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
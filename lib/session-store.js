@@ -0,0 +1,99 @@
+/**
+ * 持久化会话存储
+ *
+ * 会话以 JSON 文件保存在桥接服务目录下，每次变更立即写盘（先写临时文件再重命名，读取不写盘），
+ * 服务重启或崩溃后仍可用 --resume 继续之前的对话。
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// 从文件加载会话，文件不存在或损坏时返回空列表
+function loadEntries(file) {
+  try {
+    if (!fs.existsSync(file)) return [];
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Object.entries(data.sessions || {});
+  } catch (error) {
+    console.error(`[会话] 读取会话文件失败，将从空会话开始: ${error.message}`);
+    return [];
+  }
+}
+
+// ========== 创建会话存储 ==========
+// file: 会话文件路径；ttl: 会话无活动超时时间（毫秒）
+export function createSessionStore({ file, ttl }) {
+  const sessions = new Map(loadEntries(file));
+
+  // 原子写入：避免写到一半时进程退出导致文件损坏
+  const persist = () => {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, sessions: Object.fromEntries(sessions) }, null, 2));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      console.error(`[会话] 写入会话文件失败: ${error.message}`);
+    }
+  };
+
+  const isExpired = (session, now = Date.now()) => now - session.lastActiveTime > ttl;
+
+  return {
+    get size() {
+      return sessions.size;
+    },
+
+    // 获取会话（超时则删除并返回 null），同时刷新活跃时间
+    // 活跃时间只在内存中刷新，不单独写盘：每条消息都会调用 get，任务结束后的 save 会一并写入
+    get(key) {
+      const session = sessions.get(key);
+      if (!session) return null;
+      if (isExpired(session)) {
+        sessions.delete(key);
+        persist();
+        return null;
+      }
+      session.lastActiveTime = Date.now();
+      return session;
+    },
+
+    // 只读查看会话，不刷新活跃时间
+    peek(key) {
+      const session = sessions.get(key);
+      return session && !isExpired(session) ? session : null;
+    },
+
+    // 保存会话：同一对话累加轮数（保留创建者），新对话重置元数据
+    save(key, conversationId, meta = {}) {
+      const now = Date.now();
+      const existing = sessions.get(key);
+      const session = existing && existing.conversationId === conversationId
+        ? { ...existing, ...meta, creator: existing.creator || meta.creator || null, turns: (existing.turns || 0) + 1, lastActiveTime: now }
+        : { conversationId, createdAt: now, turns: 1, ...meta, lastActiveTime: now };
+      sessions.set(key, session);
+      persist();
+      return session;
+    },
+
+    delete(key) {
+      const existed = sessions.delete(key);
+      if (existed) persist();
+      return existed;
+    },
+
+    // 清理所有过期会话，返回被清理的 key 列表
+    prune() {
+      const now = Date.now();
+      const removed = [];
+      for (const [key, session] of sessions.entries()) {
+        if (isExpired(session, now)) {
+          sessions.delete(key);
+          removed.push(key);
+        }
+      }
+      if (removed.length > 0) persist();
+      return removed;
+    },
+  };
+}
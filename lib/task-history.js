@@ -0,0 +1,194 @@
+/**
+ * 任务历史
+ *
+ * 每次调用 Agent 后端都记录一条历史：提示词、模式、后端、话题、发起人、起止时间、退出码、
+ * 会话 ID、最终结果和发送过的文件，只保留最近的若干条，供 /history、/show、/rerun 使用。
+ *
+ * 索引保存为一个 JSON 文件，变更后合并写盘（延迟 PERSIST_DELAY 毫秒，异步写临时文件再重命名），
+ * 不阻塞处理消息的事件循环；结果正文较大，单独保存在 <结果目录>/<任务ID>.md，不放进索引。
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// 单条结果保存的最大长度，避免结果文件过大
+const MAX_RESULT_LENGTH = 100000;
+
+// 合并写盘的延迟（毫秒）：一次任务内的多次更新只写一次
+const PERSIST_DELAY = 1000;
+
+// 任务 ID 只允许字母、数字、下划线和短横线，避免拼接出结果目录之外的路径
+const ID_PATTERN = /^[\w-]+$/;
+
+// 从文件加载历史，文件不存在或损坏时返回空列表
+function loadEntries(file) {
+  try {
+    if (!fs.existsSync(file)) return [];
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Array.isArray(data.tasks) ? data.tasks : [];
+  } catch (error) {
+    console.error(`[历史] 读取任务历史失败，将从空历史开始: ${error.message}`);
+    return [];
+  }
+}
+
+// ========== 创建任务历史 ==========
+// file: 索引文件路径；resultsDir: 结果正文目录（默认与索引同目录的 task-results/）；limit: 保留的最大条数
+export function createTaskHistory({ file, resultsDir = path.join(path.dirname(file), 'task-results'), limit = 500 }) {
+  // 按开始时间正序保存，新任务追加在末尾
+  const tasks = loadEntries(file);
+  // 服务重启前未结束的任务已随进程一起终止
+  for (const entry of tasks) {
+    if (entry.status === 'running') entry.status = 'interrupted';
+  }
+  const byId = new Map(tasks.map(entry => [entry.id, entry]));
+
+  // 尚未写完的结果正文（写盘期间 /show 从这里读取）
+  const pendingResults = new Map();
+
+  // ========== 索引写盘 ==========
+  let persistTimer = null;
+  let writing = null; // 正在进行的写入
+  let dirty = false; // 写入期间又有变更，写完后再写一次
+
+  const writeIndex = async () => {
+    const tmpFile = `${file}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmpFile, JSON.stringify({ version: 2, tasks }, null, 2));
+      await fs.promises.rename(tmpFile, file);
+    } catch (error) {
+      console.error(`[历史] 写入任务历史失败: ${error.message}`);
+    }
+  };
+
+  const flush = async () => {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    if (writing) {
+      dirty = true;
+      return writing;
+    }
+    writing = writeIndex();
+    await writing;
+    writing = null;
+    if (dirty) {
+      dirty = false;
+      await flush();
+    }
+  };
+
+  const persist = () => {
+    if (!persistTimer) {
+      persistTimer = setTimeout(flush, PERSIST_DELAY);
+      persistTimer.unref?.();
+    }
+  };
+
+  // ========== 结果正文 ==========
+  const resultFile = id => path.join(resultsDir, `${id}.md`);
+
+  const truncate = (text) => text && text.length > MAX_RESULT_LENGTH
+    ? `${text.substring(0, MAX_RESULT_LENGTH)}\n\n…（结果过长，历史中只保存前 ${MAX_RESULT_LENGTH} 个字符）`
+    : text;
+
+  // 结果文件的写入和删除按顺序执行，避免删除发生在写入完成之前
+  let resultQueue = Promise.resolve();
+  const enqueue = (operation) => {
+    resultQueue = resultQueue.then(operation, operation);
+    return resultQueue;
+  };
+
+  const saveResult = (id, text) => {
+    if (!ID_PATTERN.test(id)) return;
+    pendingResults.set(id, text);
+    enqueue(async () => {
+      try {
+        await fs.promises.mkdir(resultsDir, { recursive: true });
+        await fs.promises.writeFile(resultFile(id), text);
+      } catch (error) {
+        console.error(`[历史] 写入任务结果失败: ${error.message}`);
+      }
+      // 写入期间结果又被更新时保留新的内容
+      if (pendingResults.get(id) === text) pendingResults.delete(id);
+    });
+  };
+
+  const removeResult = (id) => {
+    pendingResults.delete(id);
+    if (!ID_PATTERN.test(id)) return;
+    enqueue(() => fs.promises.unlink(resultFile(id)).catch(() => {}));
+  };
+
+  return {
+    // 记录一次新的运行
+    start(entry) {
+      const record = { ...entry, status: 'running', startedAt: Date.now(), finishedAt: null, exitCode: null, hasResult: false, files: [] };
+      tasks.push(record);
+      byId.set(record.id, record);
+      while (tasks.length > limit) {
+        const removed = tasks.shift();
+        byId.delete(removed.id);
+        if (removed.hasResult) removeResult(removed.id);
+      }
+      persist();
+      return record;
+    },
+
+    // 更新运行信息（退出码、结果、状态等），记录不存在时忽略；结果正文单独保存
+    update(id, patch) {
+      const record = byId.get(id);
+      if (!record) return null;
+      const { result, ...rest } = patch;
+      Object.assign(record, rest);
+      if (result !== undefined) {
+        // 旧版本把结果放在索引中，更新时移出
+        delete record.result;
+        record.hasResult = !!result;
+        if (result) saveResult(id, truncate(result));
+      }
+      persist();
+      return record;
+    },
+
+    // 记录任务发送的文件
+    addFile(id, fileName) {
+      const record = byId.get(id);
+      if (!record) return;
+      record.files.push(fileName);
+      persist();
+    },
+
+    get(id) {
+      return byId.get(id) || null;
+    },
+
+    // 读取任务结果正文，没有结果时返回 null
+    async getResult(id) {
+      const record = byId.get(id);
+      if (!record) return null;
+      if (record.result) return record.result; // 旧版本索引中的结果
+      if (pendingResults.has(id)) return pendingResults.get(id);
+      if (!record.hasResult || !ID_PATTERN.test(id)) return null;
+      try {
+        return await fs.promises.readFile(resultFile(id), 'utf-8');
+      } catch {
+        return null;
+      }
+    },
+
+    // 按条件筛选，返回最近的 count 条（新的在前）
+    list(filter = () => true, count = 10) {
+      const result = [];
+      for (let i = tasks.length - 1; i >= 0 && result.length < count; i--) {
+        if (filter(tasks[i])) result.push(tasks[i]);
+      }
+      return result;
+    },
+
+    // 立即写盘（退出前调用），同时等待结果文件写完
+    async flush() {
+      await Promise.all([flush(), resultQueue]);
+    },
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * 工具调用步骤时间线
+ *
+ * 解析 Cursor CLI stream-json 输出中的 tool_call 事件（started / completed），
+ * 整理成读取文件、编辑文件（+/- 行数）、执行命令（退出码）、MCP 工具等步骤，
+ * 供流式卡片渲染为可折叠的执行步骤列表。
+ */
+
+// ========== 步骤类型 ==========
+const STEP_KINDS = {
+  readToolCall: { icon: '📖', label: '读取' },
+  writeToolCall: { icon: '📝', label: '写入' },
+  editToolCall: { icon: '✏️', label: '编辑' },
+  deleteToolCall: { icon: '🗑️', label: '删除' },
+  shellToolCall: { icon: '💻', label: '命令' },
+  grepToolCall: { icon: '🔍', label: '搜索' },
+  globToolCall: { icon: '🔍', label: '查找' },
+  lsToolCall: { icon: '📁', label: '列目录' },
+  mcpToolCall: { icon: '🔌', label: 'MCP' },
+  updateTodosToolCall: { icon: '✅', label: '待办' },
+  todoToolCall: { icon: '✅', label: '待办' },
+};
+
+const DEFAULT_KIND = { icon: '🧩', label: '工具' };
+
+// 截断过长的单行文本（命令、路径等）
+function clip(text, max = 80) {
+  const line = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return line.length > max ? `${line.substring(0, max)}…` : line;
+}
+
+// 统计文本行数（用于新建文件的 + 行数兜底）
+function countLines(text) {
+  return text ? String(text).split('\n').length : 0;
+}
+
+// 从 tool_call 对象中取出工具类型和调用内容
+function unwrapToolCall(toolCall) {
+  const key = Object.keys(toolCall || {})[0];
+  if (!key) return null;
+  // 未知工具可能以 { function: { name, arguments } } 形式出现
+  if (key === 'function') {
+    return { key: toolCall.function.name || 'function', call: { args: toolCall.function.arguments } };
+  }
+  return { key, call: toolCall[key] || {} };
+}
+
+// 生成步骤的描述文字
+function describe(key, args = {}) {
+  switch (key) {
+    case 'shellToolCall':
+      return `\`${clip(args.command)}\``;
+    case 'grepToolCall':
+      return `\`${clip(args.pattern, 40)}\`${args.path ? ` 于 ${clip(args.path, 40)}` : ''}`;
+    case 'globToolCall':
+      return `\`${clip(args.globPattern || args.pattern, 60)}\``;
+    case 'mcpToolCall':
+      return `\`${clip([args.providerIdentifier, args.toolName || args.name].filter(Boolean).join('.'), 60)}\``;
+    case 'updateTodosToolCall':
+    case 'todoToolCall':
+      return `${(args.todos || []).length} 项`;
+    default:
+      return args.path ? `\`${clip(args.path)}\`` : '';
+  }
+}
+
+// ========== 创建步骤跟踪器 ==========
+export function createStepTracker() {
+  const steps = [];
+  const byCallId = new Map();
+
+  // 处理一条 stream-json 事件，步骤有变化时返回 true
+  const handle = (event) => {
+    if (event?.type !== 'tool_call') return false;
+    const unwrapped = unwrapToolCall(event.tool_call);
+    if (!unwrapped) return false;
+    const { key, call } = unwrapped;
+
+    // 没有 call_id 时，completed 事件对应同类工具中最近一个未结束的步骤
+    let step = event.call_id
+      ? byCallId.get(event.call_id)
+      : event.subtype === 'completed' && steps.findLast(s => s.key === key && s.status === 'running');
+    if (!step) {
+      const kind = STEP_KINDS[key] || DEFAULT_KIND;
+      step = {
+        key,
+        icon: kind.icon,
+        label: STEP_KINDS[key] ? kind.label : key.replace(/ToolCall$/, ''),
+        detail: describe(key, call.args),
+        status: 'running',
+      };
+      steps.push(step);
+      if (event.call_id) byCallId.set(event.call_id, step);
+    }
+
+    if (event.subtype === 'completed') {
+      const result = call.result || {};
+      const success = result.success;
+      step.status = success || !result.failure ? 'done' : 'failed';
+      const info = success || result.failure || {};
+      if (key === 'editToolCall') {
+        step.added = info.linesAdded ?? 0;
+        step.removed = info.linesRemoved ?? 0;
+      } else if (key === 'writeToolCall') {
+        step.added = info.linesCreated ?? countLines(call.args?.fileText);
+        step.removed = 0;
+      } else if (key === 'shellToolCall') {
+        step.exitCode = info.exitCode ?? (success ? 0 : null);
+        if (step.exitCode !== null && step.exitCode !== 0) step.status = 'failed';
+      }
+    }
+    return true;
+  };
+
+  // 汇总：步骤数、读取/修改文件数、增删行数、命令数
+  const summary = () => {
+    const count = (keys) => steps.filter(s => keys.includes(s.key)).length;
+    const added = steps.reduce((sum, s) => sum + (s.added || 0), 0);
+    const removed = steps.reduce((sum, s) => sum + (s.removed || 0), 0);
+    const parts = [`${steps.length} 步`];
+    const reads = count(['readToolCall']);
+    const edits = count(['editToolCall', 'writeToolCall', 'deleteToolCall']);
+    const commands = count(['shellToolCall']);
+    const tools = count(['mcpToolCall']);
+    if (reads) parts.push(`读取 ${reads}`);
+    if (edits) parts.push(`修改 ${edits}（+${added} −${removed}）`);
+    if (commands) parts.push(`命令 ${commands}`);
+    if (tools) parts.push(`MCP ${tools}`);
+    return parts.join(' · ');
+  };
+
+  // 渲染为 Markdown 列表（只保留最近 limit 步，避免卡片过大）
+  const toMarkdown = (limit = 30) => {
+    const visible = steps.slice(-limit);
+    const lines = visible.map((step) => {
+      const status = step.status === 'running' ? '⏳' : step.status === 'failed' ? '❌' : '✔️';
+      let extra = '';
+      if (step.added !== undefined) extra = ` <font color='green'>+${step.added}</font> <font color='red'>−${step.removed}</font>`;
+      if (step.exitCode !== undefined && step.exitCode !== null) extra = ` → 退出码 ${step.exitCode}`;
+      return `${status} ${step.icon} ${step.label} ${step.detail}${extra}`.trim();
+    });
+    if (steps.length > limit) {
+      lines.unshift(`… 省略前 ${steps.length - limit} 步`);
+    }
+    return lines.join('\n');
+  };
+
+  return {
+    steps,
+    handle,
+    summary,
+    toMarkdown,
+    get count() {
+      return steps.length;
+    },
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * 工作区注册表
+ *
+ * 一个桥接进程可以服务多个仓库：每个工作区有名称、路径、可选的默认模式和环境变量，
+ * 每个话题（threadKey）可以绑定到不同的工作区，绑定关系持久化到数据目录。
+ *
+ * 配置文件（WORKSPACES_FILE，默认 workspaces.json）格式：
+ * {
+ *   "default": "app",
+ *   "workspaces": {
+ *     "app": { "path": "/path/to/app", "mode": "agent", "env": { "NODE_ENV": "development" } },
+ *     "docs": { "path": "/path/to/docs", "mode": "ask" },
+ *     "lib": { "path": "/path/to/lib", "isolation": "worktree" },
+ *     "scratch": { "path": "/path/to/scratch", "backend": "claude" }
+ *   }
+ * }
+ * isolation 为 "worktree" 时每个话题在独立的 git worktree 中执行（见 worktrees.js）。
+ * backend 指定该工作区默认使用的 Agent 后端（见 backends/index.js），未指定时使用 AGENT_BACKEND。
+ * 未配置时只有一个名为 default 的工作区，路径为 CURSOR_WORK_DIR。
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// 工作区名称：字母、数字、下划线、短横线
+const NAME_PATTERN = /^[\w-]+$/;
+
+// 读取 JSON 文件，不存在时返回 fallback
+function readJson(file, fallback) {
+  if (!file || !fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// ========== 创建工作区注册表 ==========
+// configFile: 工作区配置文件；defaultDir: 默认工作区路径；bindingsFile: 话题绑定持久化文件
+export function createWorkspaceRegistry({ configFile, defaultDir, bindingsFile }) {
+  const workspaces = new Map();
+  const json = readJson(configFile, {});
+
+  for (const [name, item] of Object.entries(json.workspaces || {})) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`工作区配置错误：名称 "${name}" 只能包含字母、数字、下划线和短横线`);
+    }
+    const spec = typeof item === 'string' ? { path: item } : item;
+    if (!spec.path) {
+      throw new Error(`工作区配置错误：${name} 缺少 path`);
+    }
+    workspaces.set(name, {
+      name,
+      path: path.resolve(spec.path),
+      mode: spec.mode || null,
+      env: spec.env || {},
+      description: spec.description || '',
+      isolation: spec.isolation || null,
+      backend: spec.backend || null,
+    });
+  }
+
+  // 没有配置时使用 CURSOR_WORK_DIR 作为唯一工作区
+  if (workspaces.size === 0) {
+    workspaces.set('default', { name: 'default', path: path.resolve(defaultDir), mode: null, env: {}, description: '', isolation: null, backend: null });
+  }
+
+  const defaultName = json.default || workspaces.keys().next().value;
+  if (!workspaces.has(defaultName)) {
+    throw new Error(`工作区配置错误：默认工作区 "${defaultName}" 不存在`);
+  }
+
+  // 话题绑定：threadKey（或 chatId）-> 工作区名称
+  const bindings = new Map(Object.entries(readJson(bindingsFile, {})));
+  const persistBindings = () => {
+    try {
+      fs.mkdirSync(path.dirname(bindingsFile), { recursive: true });
+      fs.writeFileSync(bindingsFile, JSON.stringify(Object.fromEntries(bindings), null, 2));
+    } catch (error) {
+      console.error(`[工作区] 保存绑定关系失败: ${error.message}`);
+    }
+  };
+
+  return {
+    defaultName,
+
+    list() {
+      return [...workspaces.values()];
+    },
+
+    get(name) {
+      return workspaces.get(name) || null;
+    },
+
+    // 解析话题使用的工作区：话题绑定 > 所在聊天绑定 > 默认工作区
+    resolve(threadKey, chatId = null) {
+      const name = bindings.get(threadKey) || (chatId && bindings.get(chatId));
+      return workspaces.get(name) || workspaces.get(defaultName);
+    },
+
+    // 绑定话题到工作区，返回工作区；不存在时返回 null
+    bind(threadKey, name) {
+      const workspace = workspaces.get(name);
+      if (!workspace) return null;
+      bindings.set(threadKey, name);
+      persistBindings();
+      return workspace;
+    },
+  };
+}
+
+// 会话按工作区隔离，--resume 不会跨仓库
+export function workspaceSessionKey(threadKey, workspaceName) {
+  return `${threadKey}@${workspaceName}`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Git worktree 隔离
+ *
+ * 每个话题（按话题 + 工作区区分）首次执行任务时，从仓库当前分支创建独立的 worktree 和分支，
+ * 多个话题同时改同一个仓库也不会互相覆盖。完成后可以合并回原分支，或直接丢弃。
+ * worktree 放在桥接服务的数据目录下，不会出现在仓库工作区中。
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { runGit, isGitRepo } from './git-snapshot.js';
+
+// 根据 key 生成稳定的短标识（用作目录名和分支名）
+function slugOf(key) {
+  return crypto.createHash('sha1').update(key).digest('hex').substring(0, 10);
+}
+
+// ========== 创建 worktree 管理器 ==========
+// rootDir: worktree 存放目录；stateFile: 状态持久化文件；branchPrefix: 分支名前缀
+export function createWorktreeManager({ rootDir, stateFile, branchPrefix = 'feishu' }) {
+  let state = {};
+  try {
+    if (fs.existsSync(stateFile)) {
+      state = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+    }
+  } catch (error) {
+    console.error(`[Worktree] 读取状态文件失败: ${error.message}`);
+  }
+
+  const persist = () => {
+    try {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+    } catch (error) {
+      console.error(`[Worktree] 写入状态文件失败: ${error.message}`);
+    }
+  };
+
+  // 获取已存在的 worktree（目录被手动删除时视为不存在）
+  const get = (key) => {
+    const worktree = state[key];
+    return worktree && fs.existsSync(worktree.path) ? worktree : null;
+  };
+
+  // 列出所有仍存在的 worktree
+  const list = () => Object.values(state).filter(worktree => fs.existsSync(worktree.path));
+
+  // 确保 key 对应的 worktree 存在，首次使用时从 repoDir 当前 HEAD 创建
+  const ensure = async (key, repoDir) => {
+    const existing = get(key);
+    if (existing) return existing;
+
+    if (!await isGitRepo(repoDir)) {
+      throw new Error(`${repoDir} 不是 git 仓库，无法使用 worktree 隔离`);
+    }
+
+    const slug = slugOf(key);
+    const branch = `${branchPrefix}/${slug}`;
+    const worktreePath = path.join(rootDir, slug);
+    const baseBranch = (await runGit(repoDir, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+    const baseCommit = (await runGit(repoDir, ['rev-parse', 'HEAD'])).trim();
+
+    // 清理已失效的 worktree 记录（目录被删除的情况）
+    await runGit(repoDir, ['worktree', 'prune']);
+    const branchExists = await runGit(repoDir, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`])
+      .then(() => true, () => false);
+
+    fs.mkdirSync(rootDir, { recursive: true });
+    await runGit(repoDir, branchExists
+      ? ['worktree', 'add', worktreePath, branch]
+      : ['worktree', 'add', '-b', branch, worktreePath, baseCommit]);
+
+    const worktree = { path: worktreePath, branch, repoDir, baseBranch, baseCommit, createdAt: Date.now() };
+    state[key] = worktree;
+    persist();
+    console.log(`[Worktree] 创建 worktree: ${worktreePath} (分支 ${branch}，基于 ${baseBranch})`);
+    return worktree;
+  };
+
+  // 查看 worktree 状态：领先提交数、未提交的变更
+  const status = async (key) => {
+    const worktree = get(key);
+    if (!worktree) return null;
+    const ahead = parseInt(await runGit(worktree.repoDir, ['rev-list', '--count', `${worktree.baseCommit}..${worktree.branch}`]), 10);
+    const changes = (await runGit(worktree.path, ['status', '--porcelain'])).split('\n').filter(Boolean);
+    return { ...worktree, ahead, changes };
+  };
+
+  // 提交 worktree 中未提交的变更，返回是否产生了新提交
+  const commitPending = async (worktree, message) => {
+    const pending = (await runGit(worktree.path, ['status', '--porcelain'])).trim();
+    if (!pending) return false;
+    await runGit(worktree.path, ['add', '-A']);
+    await runGit(worktree.path, ['commit', '-m', message]);
+    return true;
+  };
+
+  // 删除 worktree 和分支
+  const discard = async (key) => {
+    const worktree = state[key];
+    if (!worktree) return false;
+    if (fs.existsSync(worktree.path)) {
+      await runGit(worktree.repoDir, ['worktree', 'remove', '--force', worktree.path]);
+    }
+    await runGit(worktree.repoDir, ['worktree', 'prune']);
+    await runGit(worktree.repoDir, ['branch', '-D', worktree.branch]).catch(() => {});
+    delete state[key];
+    persist();
+    console.log(`[Worktree] 已删除 worktree: ${worktree.path} (分支 ${worktree.branch})`);
+    return true;
+  };
+
+  // 合并到创建时的基准分支，成功后删除 worktree 和分支
+  // 仓库当前检出的分支必须是基准分支，冲突时中止合并并抛出错误
+  const merge = async (key, message) => {
+    const worktree = get(key);
+    if (!worktree) {
+      throw new Error('当前话题没有 worktree');
+    }
+    await commitPending(worktree, message);
+
+    const ahead = parseInt(await runGit(worktree.repoDir, ['rev-list', '--count', `${worktree.baseBranch}..${worktree.branch}`]), 10);
+    if (ahead === 0) {
+      await discard(key);
+      return { merged: false, commits: 0 };
+    }
+
+    const current = (await runGit(worktree.repoDir, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+    if (current !== worktree.baseBranch) {
+      throw new Error(`仓库当前分支是 ${current}，不是创建 worktree 时的 ${worktree.baseBranch}，请先切换回去再合并`);
+    }
+
+    try {
+      await runGit(worktree.repoDir, ['merge', '--no-ff', '-m', `Merge branch '${worktree.branch}'\n\n${message}`, worktree.branch]);
+    } catch (error) {
+      await runGit(worktree.repoDir, ['merge', '--abort']).catch(() => {});
+      throw new Error(`合并失败，已中止：${error.message}`);
+    }
+
+    await discard(key);
+    return { merged: true, commits: ahead, baseBranch: worktree.baseBranch };
+  };
+
+  return { get, list, ensure, status, commitPending, merge, discard };
+}
@@ -14,10 +14,29 @@ import {
 import fs from 'fs';
 import path from 'path';
 import { spawn, execSync } from 'child_process';
+import { createPathPolicyFromEnv } from './lib/path-policy.js';
 
 // 配置
 const API_PORT = process.env.FEISHU_API_PORT || 3456;
 const API_HOST = process.env.FEISHU_API_HOST || 'http://localhost';
+// 任务令牌：由桥接服务启动 agent 时注入，用于把文件发回触发任务的聊天
+const TASK_TOKEN = process.env.FEISHU_TASK_TOKEN || '';
+// 进程密钥：桥接服务每次启动时生成，调用本地 API 时用于鉴权
+const BRIDGE_TOKEN = process.env.FEISHU_BRIDGE_TOKEN || '';
+// 工作目录：由桥接服务注入，相对路径基于此解析，文件访问也限制在此目录内
+const WORK_DIR = process.env.FEISHU_WORK_DIR || process.cwd();
+
+// 文件路径策略（与桥接服务共用）：只能访问工作目录（及 PATH_ALLOWED_ROOTS）中的非敏感文件
+const pathPolicy = createPathPolicyFromEnv();
+
+// 检查路径，不允许时返回 MCP 错误结果
+function denyPath(checked) {
+  console.error(`[路径] 拒绝访问: ${checked.path} - ${checked.reason}`);
+  return {
+    content: [{ type: 'text', text: `错误：${checked.reason}` }],
+    isError: true,
+  };
+}
 
 // 创建 MCP Server
 const server = new Server(
@@ -44,7 +63,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             file_path: {
               type: 'string',
-              description: '要发送的文件路径（相对路径或绝对路径）',
+              description: '要发送的文件路径（相对路径或绝对路径），只能发送工作目录内的非敏感文件',
             },
             message: {
               type: 'string',
@@ -62,7 +81,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             directory: {
               type: 'string',
-              description: '要列出的目录路径，默认为当前工作目录',
+              description: '要列出的目录路径，默认为工作目录，不能超出工作目录',
             },
             pattern: {
               type: 'string',
@@ -141,23 +160,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 
     try {
-      // 检查文件是否存在
-      const absolutePath = path.isAbsolute(filePath) 
-        ? filePath 
-        : path.join(process.cwd(), filePath);
-      
-      if (!fs.existsSync(absolutePath)) {
-        return {
-          content: [{ type: 'text', text: `错误：文件不存在 - ${absolutePath}` }],
-          isError: true,
-        };
+      // 检查文件是否存在、是否在允许的目录内、是否为敏感文件
+      const checked = pathPolicy.check(filePath, { baseDir: WORK_DIR });
+      if (!checked.allowed) {
+        return denyPath(checked);
       }
+      const absolutePath = checked.path;
 
       // 调用本地 API 发送文件
       const response = await fetch(`${API_HOST}:${API_PORT}/send-file`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${BRIDGE_TOKEN}`,
+          'X-Feishu-Task-Token': TASK_TOKEN,
         },
         body: JSON.stringify({
           file_path: absolutePath,
@@ -189,7 +205,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 
   if (name === 'list_files') {
-    const directory = args.directory || process.cwd();
+    const checked = pathPolicy.check(args.directory || '.', { baseDir: WORK_DIR });
+    if (!checked.allowed) {
+      return denyPath(checked);
+    }
+    const directory = checked.path;
     const pattern = args.pattern || '';
 
     try {
@@ -225,8 +245,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     if (duration < 1) duration = 1;
     
     const timestamp = Date.now();
-    const outputPath = args.output_path || path.join(process.cwd(), `recording_${timestamp}.wav`);
-    const absolutePath = path.isAbsolute(outputPath) ? outputPath : path.join(process.cwd(), outputPath);
+    const outputCheck = pathPolicy.check(args.output_path || `recording_${timestamp}.wav`, { baseDir: WORK_DIR, mustExist: false });
+    if (!outputCheck.allowed) {
+      return denyPath(outputCheck);
+    }
+    const absolutePath = outputCheck.path;
 
     try {
       // 获取麦克风设备列表，找到真正的麦克风
@@ -306,8 +329,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   if (name === 'capture_photo') {
     const timestamp = Date.now();
-    const outputPath = args.output_path || path.join(process.cwd(), `photo_${timestamp}.jpg`);
-    const absolutePath = path.isAbsolute(outputPath) ? outputPath : path.join(process.cwd(), outputPath);
+    const outputCheck = pathPolicy.check(args.output_path || `photo_${timestamp}.jpg`, { baseDir: WORK_DIR, mustExist: false });
+    if (!outputCheck.allowed) {
+      return denyPath(outputCheck);
+    }
+    const absolutePath = outputCheck.path;
     const deviceName = args.device_name || null;
 
     try {
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiAuth, sendApiError } from '../lib/api-auth.js';
+
+const auth = createApiAuth({ secret: 'process-secret', externalTokens: ['ci-token'], allowedOrigins: ['http://localhost:8080'] });
+
+// 构造只有 headers 的请求
+const request = (headers = {}) => ({ headers: { host: '127.0.0.1:3456', ...headers } });
+
+test('进程密钥可以调用所有接口', () => {
+  const req = request({ authorization: 'Bearer process-secret' });
+  assert.equal(auth.checkToken(req, 'internal'), null);
+  assert.equal(auth.checkToken(req, 'tasks'), null);
+});
+
+test('外部令牌只能调用任务接口', () => {
+  const req = request({ authorization: 'Bearer ci-token' });
+  assert.equal(auth.checkToken(req, 'tasks'), null);
+  assert.equal(auth.checkToken(req, 'internal').code, 'FORBIDDEN');
+});
+
+test('缺少或错误的令牌', () => {
+  assert.equal(auth.checkToken(request(), 'tasks').code, 'UNAUTHORIZED');
+  assert.equal(auth.checkToken(request({ authorization: 'Bearer wrong' }), 'tasks').code, 'INVALID_TOKEN');
+  assert.equal(auth.checkToken(request({ authorization: 'Basic process-secret' }), 'tasks').code, 'UNAUTHORIZED');
+});
+
+test('检查来源和 Host', () => {
+  assert.equal(auth.checkOrigin(request()), null);
+  assert.equal(auth.checkOrigin(request({ origin: 'http://localhost:8080' })), null);
+  assert.equal(auth.checkOrigin(request({ origin: 'https://evil.example' })).code, 'ORIGIN_NOT_ALLOWED');
+  assert.equal(auth.checkOrigin(request({ host: 'evil.example:3456' })).code, 'HOST_NOT_ALLOWED');
+  assert.equal(auth.checkOrigin(request({ host: '[::1]:3456' })), null);
+
+  // 监听非本机地址时不限制 Host
+  const open = createApiAuth({ secret: 's', listenHost: '0.0.0.0' });
+  assert.equal(open.checkOrigin(request({ host: 'bridge.internal:3456' })), null);
+});
+
+test('只为白名单来源设置 CORS 头', () => {
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name] = value; } };
+  auth.applyCors(request({ origin: 'https://evil.example' }), res);
+  assert.deepEqual(headers, {});
+  auth.applyCors(request({ origin: 'http://localhost:8080' }), res);
+  assert.equal(headers['Access-Control-Allow-Origin'], 'http://localhost:8080');
+});
+
+test('错误响应格式', () => {
+  const res = {
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    end(body) {
+      this.body = body;
+    },
+  };
+  sendApiError(res, { status: 401, code: 'UNAUTHORIZED', error: '缺少访问令牌' });
+  assert.equal(res.status, 401);
+  assert.deepEqual(JSON.parse(res.body), { success: false, error: '缺少访问令牌', code: 'UNAUTHORIZED' });
+});
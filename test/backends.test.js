@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createClaudeEventMapper } from '../lib/backends/claude-code.js';
+import { createFakeBackend } from '../lib/backends/fake.js';
+import { createStepTracker } from '../lib/tool-steps.js';
+
+const fixture = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'cursor-stream.jsonl');
+
+test('Claude Code 事件转换为 stream-json 事件', () => {
+  const map = createClaudeEventMapper();
+  assert.deepEqual(map({ type: 'system', subtype: 'init', session_id: 's1' }), [{ type: 'system', session_id: 's1' }]);
+
+  const [first] = map({ type: 'assistant', message: { content: [{ type: 'text', text: '先看看' }] } });
+  assert.equal(first.message.content[0].text, '先看看');
+  assert.ok(first.timestamp_ms);
+
+  const [text, use] = map({
+    type: 'assistant',
+    message: {
+      content: [
+        { type: 'text', text: '修改文件' },
+        { type: 'tool_use', id: 't1', name: 'Edit', input: { file_path: 'a.js', old_string: 'a', new_string: 'b\nc' } },
+      ],
+    },
+  });
+  assert.equal(text.message.content[0].text, '\n\n修改文件');
+  assert.deepEqual(use, { type: 'tool_call', subtype: 'started', call_id: 't1', tool_call: { editToolCall: { args: { path: 'a.js' } } } });
+
+  const [done] = map({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: 'ok' }] } });
+  assert.deepEqual(done.tool_call.editToolCall.result, { success: { linesAdded: 2, linesRemoved: 1 } });
+
+  assert.deepEqual(map({ type: 'result', result: '完成', session_id: 's1' }), [{ type: 'result', result: '完成', session_id: 's1', is_error: false }]);
+});
+
+test('Claude Code 工具错误保留内容块中的文本', () => {
+  const map = createClaudeEventMapper();
+  map({ type: 'assistant', message: { content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } }] } });
+  const [failed] = map({
+    type: 'user',
+    message: { content: [{ type: 'tool_result', tool_use_id: 't1', is_error: true, content: [{ type: 'text', text: '命令失败' }, { type: 'image' }] }] },
+  });
+  assert.deepEqual(failed.tool_call.shellToolCall, { args: { command: 'npm test' }, result: { failure: { message: '命令失败' } } });
+});
+
+test('Claude Code 运行失败的结果带 is_error', () => {
+  const map = createClaudeEventMapper();
+  assert.deepEqual(map({ type: 'result', subtype: 'success', is_error: true, result: 'API Error: 529', session_id: 's1' }), [
+    { type: 'result', subtype: 'success', result: 'API Error: 529', session_id: 's1', is_error: true },
+  ]);
+  assert.deepEqual(map({ type: 'result', subtype: 'error_max_turns', session_id: 's1' }), [
+    { type: 'result', subtype: 'error_max_turns', result: '', session_id: 's1', is_error: true },
+  ]);
+});
+
+test('Claude Code MCP 工具和未知工具', () => {
+  const map = createClaudeEventMapper();
+  const [mcp, other] = map({
+    type: 'assistant',
+    message: {
+      content: [
+        { type: 'tool_use', id: 't1', name: 'mcp__feishu__send_file', input: {} },
+        { type: 'tool_use', id: 't2', name: 'WebFetch', input: { url: 'https://example.com' } },
+      ],
+    },
+  });
+  assert.deepEqual(mcp.tool_call, { mcpToolCall: { args: { providerIdentifier: 'feishu', toolName: 'send_file' } } });
+  assert.deepEqual(other.tool_call, { function: { name: 'WebFetch', arguments: { url: 'https://example.com' } } });
+  // 没有对应 tool_use 的结果被忽略
+  assert.deepEqual(map({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 'missing', content: '' }] } }), []);
+});
+
+test('回放后端按录制文件输出事件并替换会话 ID', async () => {
+  const backend = createFakeBackend({ file: fixture, intervalMs: 0 });
+  assert.equal(backend.check().ok, true);
+
+  const events = [];
+  const run = backend.start({ resumeId: 'resumed', onEvent: event => events.push(event) });
+  assert.equal(await run.done, 0);
+
+  assert.deepEqual(events[0], { type: 'system', session_id: 'resumed' });
+  assert.ok(events.every(event => !event.session_id || event.session_id === 'resumed'));
+  assert.ok(events.every(event => event.delay_ms === undefined));
+
+  const text = events.filter(event => event.type === 'assistant').map(event => event.message.content[0].text).join('');
+  const result = events.find(event => event.type === 'result');
+  assert.equal(text, result.result);
+
+  const tracker = createStepTracker();
+  events.forEach(tracker.handle);
+  assert.deepEqual(tracker.steps.map(s => [s.key, s.status]), [['readToolCall', 'done']]);
+});
+
+test('回放后端可以被终止', async () => {
+  const backend = createFakeBackend({ file: fixture, intervalMs: 1000 });
+  const run = backend.start({ onEvent: () => {} });
+  run.stop();
+  assert.equal(await run.done, null);
+});
+
+test('录制文件不存在时启动失败', () => {
+  const backend = createFakeBackend({ file: path.join(path.dirname(fixture), 'missing.jsonl') });
+  assert.equal(backend.check().ok, false);
+  assert.throws(() => backend.start({ onEvent: () => {} }), /录制文件不存在/);
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToElements } from '../lib/card-markdown.js';
+
+const contents = elements => elements.map(element => element.content ?? element.tag);
+
+test('标题转为加粗文本，一二级标题前加分割线', () => {
+  const elements = markdownToElements('# 总结\n正文\n## 细节 ##\n更多\n### 小节\n内容');
+  assert.deepEqual(contents(elements), ['**总结**', '正文', 'hr', '**细节**', '更多', '**小节**', '内容']);
+});
+
+test('表格转为分栏，表头灰底，缺少的单元格补空', () => {
+  const header = Array.from({ length: 8 }, (_, i) => `列${i}`);
+  const markdown = [
+    `| ${header.join(' | ')} |`,
+    `|${' --- |'.repeat(8)}`,
+    '| a | b |',
+    `| ${'x | '.repeat(8)}`,
+  ].join('\n');
+  // 3 行 × (1 个分栏 + 8 列 × 2) = 51 个元素，超过默认上限
+  assert.equal(markdownToElements(markdown), null);
+  const elements = markdownToElements(markdown, { maxElements: 51 });
+  assert.equal(elements.length, 3);
+  assert.ok(elements.every(element => element.tag === 'column_set' && element.columns.length === 8));
+  assert.equal(elements[0].background_style, 'grey');
+  assert.equal(elements[0].columns[7].elements[0].content, '**列7**');
+  assert.equal(elements[1].background_style, 'default');
+  assert.equal(elements[1].columns[1].elements[0].content, 'b');
+  assert.equal(elements[1].columns[2].elements[0].content, ' ');
+});
+
+test('代码块带语言标签，长代码块折叠', () => {
+  const [short] = markdownToElements('```js\nconst a = 1;\n```');
+  assert.equal(short.content, "<font color='grey'>js</font>\n```js\nconst a = 1;\n```");
+
+  const code = Array.from({ length: 31 }, (_, i) => `line ${i}`).join('\n');
+  const [panel] = markdownToElements(`\`\`\`\n${code}\n\`\`\``);
+  assert.equal(panel.tag, 'collapsible_panel');
+  assert.equal(panel.header.title.content, '📄 **代码** 31 行');
+  assert.equal(panel.elements[0].content, `\`\`\`\n${code}\n\`\`\``);
+});
+
+test('代码块中的标题、表格和其他围栏保持原样', () => {
+  const elements = markdownToElements('````md\n# 不是标题\n```js\nx\n```\n| a |\n| - |\n````\n结束');
+  assert.equal(elements.length, 2);
+  assert.equal(elements[0].content, "<font color='grey'>md</font>\n```md\n# 不是标题\n```js\nx\n```\n| a |\n| - |\n```");
+  assert.equal(elements[1].content, '结束');
+
+  const tilde = markdownToElements('~~~\n```\n~~~');
+  assert.equal(tilde[0].content, '```\n```\n```');
+});
+
+test('未闭合的代码块延续到末尾', () => {
+  const elements = markdownToElements('说明\n```python\nprint(1)\n# 注释\n\n| a | b |');
+  assert.equal(elements.length, 2);
+  assert.equal(elements[0].content, '说明');
+  assert.equal(elements[1].content, "<font color='grey'>python</font>\n```python\nprint(1)\n# 注释\n\n| a | b |\n```");
+});
+
+test('嵌套列表按层级缩进', () => {
+  const [list] = markdownToElements('- 一\n  - 二\n    * 三\n1. 有序\n   2) 嵌套');
+  assert.equal(list.content, '• 一\n　◦ 二\n　　▪ 三\n1. 有序\n　2) 嵌套');
+});
+
+test('很长的章节折叠，第一个章节始终展开', () => {
+  const long = 'x'.repeat(3001);
+  const elements = markdownToElements(`# 第一章\n${long}\n# 第二章\n${long}`);
+  assert.deepEqual(elements.map(element => element.tag), ['markdown', 'markdown', 'collapsible_panel']);
+  assert.equal(elements[2].header.title.content, '**第二章**');
+  assert.equal(elements[2].elements[0].content, long);
+});
+
+test('元素数量超出上限时返回 null', () => {
+  const rows = Array.from({ length: 10 }, (_, i) => `| ${i} | ${i} |`).join('\n');
+  const markdown = `| a | b |\n| - | - |\n${rows}`;
+  // 11 行，每行 1 个分栏 + 2 列 × (1 列 + 1 个 markdown) = 5 个元素
+  assert.equal(markdownToElements(markdown, { maxElements: 55 }).length, 11);
+  assert.equal(markdownToElements(markdown, { maxElements: 54 }), null);
+
+  const sections = Array.from({ length: 30 }, (_, i) => `## 标题 ${i}\n正文 ${i}`).join('\n');
+  assert.equal(markdownToElements(sections), null);
+});
+
+test('空内容保留一个 markdown 元素', () => {
+  assert.deepEqual(markdownToElements(''), [{ tag: 'markdown', content: '' }]);
+  assert.deepEqual(markdownToElements(undefined), [{ tag: 'markdown', content: '' }]);
+  assert.deepEqual(markdownToElements('\n\n'), [{ tag: 'markdown', content: '\n\n' }]);
+});
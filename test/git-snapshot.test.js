@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { runGit, isGitRepo, snapshotWorkTree, diffSnapshots, revertSnapshot, commitSnapshot } from '../lib/git-snapshot.js';
+
+// 测试环境可能没有配置 git 用户
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com',
+});
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+
+// 已有一次提交的仓库：app.js、.gitignore（忽略 *.log）
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-snapshot-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const repo = path.join(dir, 'repo');
+  git(dir, 'init', '-q', '-b', 'main', repo);
+  fs.writeFileSync(path.join(repo, 'app.js'), 'a\nb\nc\n');
+  fs.writeFileSync(path.join(repo, '.gitignore'), '*.log\n');
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-q', '-m', 'init');
+  return { dir, repo };
+}
+
+const write = (repo, file, content) => fs.writeFileSync(path.join(repo, file), content);
+const read = (repo, file) => fs.readFileSync(path.join(repo, file), 'utf-8');
+
+test('isGitRepo 与 runGit 的错误信息', async (t) => {
+  const { dir, repo } = setup(t);
+  assert.equal(await isGitRepo(repo), true);
+  assert.equal(await isGitRepo(path.join(repo, '.')), true);
+  const plain = path.join(dir, 'plain');
+  fs.mkdirSync(plain);
+  assert.equal(await isGitRepo(plain), false);
+  await assert.rejects(runGit(repo, ['rev-parse', 'no-such-ref']), /git rev-parse 失败（退出码 \d+）/);
+});
+
+test('快照包含未跟踪文件、遵循 .gitignore，且不改动 index 和 HEAD', async (t) => {
+  const { repo } = setup(t);
+  const head = git(repo, 'rev-parse', 'HEAD');
+  const clean = await snapshotWorkTree(repo);
+  assert.equal(clean, git(repo, 'rev-parse', 'HEAD^{tree}'));
+
+  write(repo, 'app.js', 'a\nB\nc\nd\n');
+  write(repo, 'new.txt', 'hello\n');
+  write(repo, 'debug.log', 'ignored\n');
+  const tree = await snapshotWorkTree(repo);
+
+  assert.deepEqual(git(repo, 'ls-tree', '--name-only', tree).split('\n'), ['.gitignore', 'app.js', 'new.txt']);
+  assert.equal(git(repo, 'rev-parse', 'HEAD'), head);
+  assert.equal(git(repo, 'diff', '--cached', '--name-only'), '');
+  assert.deepEqual(git(repo, 'status', '--porcelain', '--untracked-files=all').split('\n').map(line => line.trim()).sort(), ['?? new.txt', 'M app.js']);
+});
+
+test('空仓库（没有 HEAD）也能取快照', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-snapshot-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  git(dir, 'init', '-q');
+  write(dir, 'a.txt', '1\n');
+  const tree = await snapshotWorkTree(dir);
+  assert.equal(git(dir, 'ls-tree', '--name-only', tree), 'a.txt');
+});
+
+test('比较快照：统计增删行数、二进制文件和重命名', async (t) => {
+  const { repo } = setup(t);
+  const before = await snapshotWorkTree(repo);
+  assert.deepEqual(await diffSnapshots(repo, before, before), { files: [], added: 0, removed: 0, patch: '' });
+
+  write(repo, 'app.js', 'a\nB\nc\nd\n');
+  write(repo, 'image.bin', Buffer.from([0, 1, 2, 0, 255]));
+  fs.renameSync(path.join(repo, '.gitignore'), path.join(repo, 'ignore.txt'));
+  const after = await snapshotWorkTree(repo);
+  const diff = await diffSnapshots(repo, before, after);
+
+  const byPath = Object.fromEntries(diff.files.map(file => [file.path, file]));
+  assert.deepEqual(byPath['app.js'], { path: 'app.js', added: 2, removed: 1, binary: false });
+  assert.deepEqual(byPath['image.bin'], { path: 'image.bin', added: 0, removed: 0, binary: true });
+  assert.ok(byPath['.gitignore => ignore.txt'], `重命名未识别: ${Object.keys(byPath)}`);
+  assert.equal(diff.added, 2);
+  assert.equal(diff.removed, 1);
+  assert.match(diff.patch, /^\+B$/m);
+  assert.match(diff.patch, /^-b$/m);
+});
+
+test('回滚快照之间的变更', async (t) => {
+  const { repo } = setup(t);
+  write(repo, 'draft.txt', 'keep me\n');
+  const before = await snapshotWorkTree(repo);
+
+  write(repo, 'app.js', 'a\nB\nc\n');
+  write(repo, 'new.txt', 'new\n');
+  write(repo, 'image.bin', Buffer.from([0, 1, 2, 0, 255]));
+  fs.rmSync(path.join(repo, 'draft.txt'));
+  const after = await snapshotWorkTree(repo);
+
+  await revertSnapshot(repo, before, after);
+  assert.equal(read(repo, 'app.js'), 'a\nb\nc\n');
+  assert.equal(read(repo, 'draft.txt'), 'keep me\n');
+  assert.equal(fs.existsSync(path.join(repo, 'new.txt')), false);
+  assert.equal(fs.existsSync(path.join(repo, 'image.bin')), false);
+  assert.equal(await snapshotWorkTree(repo), before);
+
+  // 没有变更时什么也不做
+  await revertSnapshot(repo, before, before);
+});
+
+test('回滚后又被修改过的文件会失败且不改动工作区', async (t) => {
+  const { repo } = setup(t);
+  const before = await snapshotWorkTree(repo);
+  write(repo, 'app.js', 'a\nB\nc\n');
+  const after = await snapshotWorkTree(repo);
+  write(repo, 'app.js', 'x\ny\nz\n');
+
+  await assert.rejects(revertSnapshot(repo, before, after), /git apply 失败/);
+  assert.equal(read(repo, 'app.js'), 'x\ny\nz\n');
+});
+
+test('用快照生成提交，不移动分支', async (t) => {
+  const { repo } = setup(t);
+  const head = git(repo, 'rev-parse', 'HEAD');
+  write(repo, 'app.js', 'changed\n');
+  const tree = await snapshotWorkTree(repo);
+
+  const commit = await commitSnapshot(repo, tree, '标题\n\n正文', head);
+  assert.equal(git(repo, 'rev-parse', `${commit}^{tree}`), tree);
+  assert.equal(git(repo, 'rev-parse', `${commit}^`), head);
+  assert.equal(git(repo, 'log', '-1', '--format=%B', commit), '标题\n\n正文');
+  assert.equal(git(repo, 'rev-parse', 'HEAD'), head);
+
+  const root = await commitSnapshot(repo, tree, 'root');
+  assert.equal(git(repo, 'rev-list', '--count', root), '1');
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { findExecutable, checkDiskSpace, probeMcpServer, createHealthChecker, buildReadyResponse } from '../lib/health.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// 计数的检查项
+function countingCheck(name, result, options = {}) {
+  const check = {
+    name,
+    label: name,
+    calls: 0,
+    run: async () => {
+      check.calls++;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return typeof result === 'function' ? result() : result;
+    },
+    ...options,
+  };
+  return check;
+}
+
+test('在 PATH 中查找可执行文件', { skip: process.platform === 'win32' }, (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'tool'), '#!/bin/sh\n', { mode: 0o755 });
+  fs.writeFileSync(path.join(dir, 'plain'), '', { mode: 0o644 });
+  const env = { PATH: ['/nonexistent', dir].join(path.delimiter) };
+  assert.equal(findExecutable('tool', env), path.join(dir, 'tool'));
+  assert.equal(findExecutable('plain', env), null);
+  assert.equal(findExecutable('missing', env), null);
+});
+
+test('检查磁盘空间', (t) => {
+  const dir = tempDir(t);
+  assert.equal(checkDiskSpace(dir, 0).ok, true);
+  assert.match(checkDiskSpace(dir, Number.MAX_SAFE_INTEGER).detail, /低于/);
+  assert.match(checkDiskSpace(path.join(dir, 'missing'), 0).detail, /目录不存在/);
+});
+
+test('探测 MCP Server', async (t) => {
+  const dir = tempDir(t);
+  const server = path.join(dir, 'server.js');
+  fs.writeFileSync(server, `
+    let buffer = '';
+    process.stdin.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split('\\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const message = JSON.parse(line);
+        if (message.id === 1) console.log(JSON.stringify({ jsonrpc: '2.0', id: 1, result: {} }));
+        if (message.id === 2) console.log(JSON.stringify({ jsonrpc: '2.0', id: 2, result: { tools: [{ name: 'send_file' }] } }));
+      }
+    });
+  `);
+  const crash = path.join(dir, 'crash.js');
+  fs.writeFileSync(crash, "console.error('缺少依赖'); process.exit(2);");
+
+  assert.deepEqual(await probeMcpServer(server), { ok: true, detail: '工具: send_file' });
+  assert.deepEqual(await probeMcpServer(crash), { ok: false, detail: '进程退出（退出码 2）: 缺少依赖' });
+  assert.match((await probeMcpServer(path.join(dir, 'missing.js'))).detail, /文件不存在/);
+});
+
+test('关键检查失败时不可用，其余失败时降级', async () => {
+  const run = checks => createHealthChecker(checks).run();
+  const ok = name => countingCheck(name, { ok: true, detail: 'ok' });
+  const failed = (name, critical) => countingCheck(name, { ok: false, detail: 'down' }, { critical });
+
+  assert.deepEqual(await run([ok('a'), ok('b')]).then(r => [r.ready, r.status]), [true, 'ok']);
+  assert.deepEqual(await run([ok('a'), failed('b', false)]).then(r => [r.ready, r.status]), [true, 'degraded']);
+  assert.deepEqual(await run([failed('a', true), failed('b', false)]).then(r => [r.ready, r.status]), [false, 'unavailable']);
+
+  const report = await run([countingCheck('boom', () => {
+    throw new Error('探测出错');
+  }, { critical: true })]);
+  assert.equal(report.ready, false);
+  assert.equal(report.checks[0].detail, '探测出错');
+  assert.equal(report.checks[0].critical, true);
+  assert.ok(report.checks[0].checkedAt);
+});
+
+test('单项检查按 cacheMs 缓存', async () => {
+  const cached = countingCheck('cached', { ok: true }, { cacheMs: 60000 });
+  const fresh = countingCheck('fresh', { ok: true });
+  const checker = createHealthChecker([cached, fresh]);
+  await checker.run();
+  await checker.run();
+  assert.equal(cached.calls, 1);
+  assert.equal(fresh.calls, 2);
+});
+
+test('报告缓存期间和并发请求共用同一次检查', async () => {
+  const check = countingCheck('expensive', { ok: true });
+  const checker = createHealthChecker([check], { reportCacheMs: 60000 });
+  const reports = await Promise.all([checker.run(), checker.run(), checker.run()]);
+  await checker.run();
+  assert.equal(check.calls, 1);
+  assert.ok(reports.every(report => report === reports[0]));
+
+  // 不缓存报告时，并发请求仍共用正在执行的单项检查
+  const shared = countingCheck('shared', { ok: true });
+  const uncached = createHealthChecker([shared]);
+  await Promise.all([uncached.run(), uncached.run()]);
+  await uncached.run();
+  assert.equal(shared.calls, 2);
+});
+
+test('GET /ready 的响应', async () => {
+  const checker = result => createHealthChecker([countingCheck('ws', { ok: result, detail: 'd' }, { critical: true })]);
+
+  assert.deepEqual(await buildReadyResponse(checker(true)), { status: 200, body: { ready: true, status: 'ok' } });
+  assert.deepEqual(await buildReadyResponse(checker(false)), { status: 503, body: { ready: false, status: 'unavailable' } });
+
+  const detailed = await buildReadyResponse(checker(true), { detailed: true, extra: () => ({ activeTasks: 2 }) });
+  assert.equal(detailed.body.activeTasks, 2);
+  assert.equal(detailed.body.checks[0].name, 'ws');
+
+  const broken = { run: async () => { throw new Error('boom'); } };
+  assert.deepEqual(await buildReadyResponse(broken), {
+    status: 503,
+    body: { success: false, error: '健康检查失败: boom', code: 'health_check_failed' },
+  });
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger, parseSince, formatLogEntry } from '../lib/logger.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('每条日志一行 JSON，带标签和上下文', async (t) => {
+  const logger = createLogger({ dir: tempDir(t) });
+  await logger.runWithContext({ taskId: 't1', threadKey: 'oc_1' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    logger.info('[任务] 开始执行', { step: 1 });
+  });
+  logger.debug('低于最低级别，不记录');
+
+  const lines = fs.readFileSync(logger.file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].level, 'info');
+  assert.equal(lines[0].tag, '任务');
+  assert.equal(lines[0].msg, '开始执行 {"step":1}');
+  assert.equal(lines[0].taskId, 't1');
+  assert.equal(lines[0].threadKey, 'oc_1');
+});
+
+test('按级别、任务、关键字、时间和条数查询', (t) => {
+  const dir = tempDir(t);
+  const old = { time: new Date(Date.now() - 3 * 3600 * 1000).toISOString(), level: 'error', msg: '三小时前的错误', taskId: 't1' };
+  fs.writeFileSync(path.join(dir, 'bridge.log'), `旧格式的纯文本日志\n${JSON.stringify(old)}\n`);
+  const logger = createLogger({ dir });
+  logger.runWithContext({ taskId: 't1' }, () => {
+    logger.info('[飞书] 消息发送成功');
+    logger.warn('[只读守卫] 拒绝修改文件');
+  });
+  logger.runWithContext({ taskId: 't2' }, () => logger.error('[错误] 命令退出码: 1'));
+  logger.info('[API] 无任务上下文');
+
+  const msgs = filter => logger.query(filter).map(entry => entry.msg);
+  assert.deepEqual(msgs({ taskId: 't1', limit: 10 }), ['三小时前的错误', '消息发送成功', '拒绝修改文件']);
+  assert.deepEqual(msgs({ level: 'warn', limit: 10 }), ['三小时前的错误', '拒绝修改文件', '命令退出码: 1']);
+  assert.deepEqual(msgs({ grep: '只读守卫', limit: 10 }), ['拒绝修改文件']);
+  assert.deepEqual(msgs({ grep: 'api' }), ['无任务上下文']);
+  assert.deepEqual(msgs({ since: parseSince('1h'), limit: 10 }), ['消息发送成功', '拒绝修改文件', '命令退出码: 1', '无任务上下文']);
+  assert.deepEqual(msgs({ limit: 2 }), ['命令退出码: 1', '无任务上下文']);
+  assert.deepEqual(msgs({ limit: 10 })[0], '旧格式的纯文本日志');
+});
+
+test('同一秒内多次轮转不覆盖归档', (t) => {
+  const dir = tempDir(t);
+  const logger = createLogger({ dir, maxSize: 100, maxFiles: 10 });
+  const start = Date.now();
+  for (let i = 0; i < 6; i++) {
+    logger.info(`[轮转] 第 ${i} 条 ${'x'.repeat(60)}`);
+  }
+  // 测试假设写入在一秒内完成，否则无法覆盖同一秒的情况
+  assert.ok(Date.now() - start < 1000);
+
+  const archives = fs.readdirSync(dir).filter(name => name !== 'bridge.log');
+  assert.equal(archives.length, 5);
+  assert.ok(archives.every(name => /^bridge-\d{8}-\d{6}-\d{3}\.log$/.test(name)));
+  // 没有丢失任何一条，且按时间顺序返回
+  assert.deepEqual(logger.query({ limit: 100 }).map(entry => entry.msg.split(' ')[1]), ['0', '1', '2', '3', '4', '5']);
+});
+
+test('只保留最近的若干个轮转文件', (t) => {
+  const dir = tempDir(t);
+  const logger = createLogger({ dir, maxSize: 100, maxFiles: 2 });
+  for (let i = 0; i < 6; i++) {
+    logger.info(`[轮转] 第 ${i} 条 ${'x'.repeat(60)}`);
+  }
+  assert.equal(fs.readdirSync(dir).length, 3);
+  assert.deepEqual(logger.query({ limit: 100 }).map(entry => entry.msg.split(' ')[1]), ['3', '4', '5']);
+});
+
+test('解析 --since', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.equal(parseSince('30m', now), now - 30 * 60 * 1000);
+  assert.equal(parseSince('2H', now), now - 2 * 3600 * 1000);
+  assert.equal(parseSince('1d', now), now - 24 * 3600 * 1000);
+  assert.equal(parseSince('2026-10-19T00:00:00Z', now), Date.parse('2026-10-19T00:00:00Z'));
+  assert.equal(parseSince('昨天', now), null);
+});
+
+test('格式化日志条目', () => {
+  assert.equal(formatLogEntry({ msg: '纯文本' }), '纯文本');
+  const line = formatLogEntry({ time: '2026-10-19T12:00:00Z', level: 'warn', tag: '任务', msg: '超时', taskId: 't1' });
+  assert.match(line, /WARN \(t1\) \[任务\] 超时$/);
+});
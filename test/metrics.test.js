@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetricsRegistry } from '../lib/metrics.js';
+
+test('输出 Prometheus 文本格式', () => {
+  const registry = createMetricsRegistry({ prefix: 'bridge_' });
+  const tasks = registry.counter('tasks_total', '任务数', ['mode', 'outcome']);
+  tasks.inc({ mode: 'agent', outcome: 'succeeded' });
+  tasks.inc({ mode: 'agent', outcome: 'succeeded' }, 2);
+  tasks.inc({ mode: 'ask', outcome: 'failed' });
+  registry.gauge('active_tasks', '正在执行的任务数', () => 3);
+  registry.gauge('sessions', '会话数', () => [{ labels: { backend: 'cursor' }, value: 1 }, { labels: { backend: 'claude' }, value: 0 }]);
+
+  assert.equal(registry.render(), [
+    '# HELP bridge_tasks_total 任务数',
+    '# TYPE bridge_tasks_total counter',
+    'bridge_tasks_total{mode="agent",outcome="succeeded"} 3',
+    'bridge_tasks_total{mode="ask",outcome="failed"} 1',
+    '# HELP bridge_active_tasks 正在执行的任务数',
+    '# TYPE bridge_active_tasks gauge',
+    'bridge_active_tasks 3',
+    '# HELP bridge_sessions 会话数',
+    '# TYPE bridge_sessions gauge',
+    'bridge_sessions{backend="cursor"} 1',
+    'bridge_sessions{backend="claude"} 0',
+    '',
+  ].join('\n'));
+});
+
+test('转义标签值，忽略空标签', () => {
+  const registry = createMetricsRegistry();
+  const errors = registry.counter('errors_total', '错误数', ['operation', 'detail']);
+  errors.inc({ operation: 'send "card"\\x\n', detail: undefined });
+  assert.match(registry.render(), /^errors_total\{operation="send \\"card\\"\\\\x\\n"\} 1$/m);
+});
+
+test('直方图输出累计桶、_sum 和 _count', () => {
+  const registry = createMetricsRegistry();
+  const duration = registry.histogram('task_duration_seconds', '任务耗时', [10, 1, 5], ['mode']);
+  for (const value of [0.5, 1, 3, 7, 20]) {
+    duration.observe({ mode: 'agent' }, value);
+  }
+  duration.observe({ mode: 'ask' }, 2);
+
+  const lines = registry.render().trim().split('\n');
+  assert.deepEqual(lines, [
+    '# HELP task_duration_seconds 任务耗时',
+    '# TYPE task_duration_seconds histogram',
+    'task_duration_seconds_bucket{mode="agent",le="1"} 2',
+    'task_duration_seconds_bucket{mode="agent",le="5"} 3',
+    'task_duration_seconds_bucket{mode="agent",le="10"} 4',
+    'task_duration_seconds_bucket{mode="agent",le="+Inf"} 5',
+    'task_duration_seconds_sum{mode="agent"} 31.5',
+    'task_duration_seconds_count{mode="agent"} 5',
+    'task_duration_seconds_bucket{mode="ask",le="1"} 0',
+    'task_duration_seconds_bucket{mode="ask",le="5"} 1',
+    'task_duration_seconds_bucket{mode="ask",le="10"} 1',
+    'task_duration_seconds_bucket{mode="ask",le="+Inf"} 1',
+    'task_duration_seconds_sum{mode="ask"} 2',
+    'task_duration_seconds_count{mode="ask"} 1',
+  ]);
+});
+
+test('计时器记录经过的秒数', async () => {
+  const registry = createMetricsRegistry();
+  const latency = registry.histogram('latency_seconds', '耗时', [0.001, 10]);
+  const end = latency.startTimer();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  end();
+  const output = registry.render();
+  assert.match(output, /^latency_seconds_bucket\{le="0.001"\} 0$/m);
+  assert.match(output, /^latency_seconds_bucket\{le="10"\} 1$/m);
+  assert.match(output, /^latency_seconds_count 1$/m);
+});
+
+test('采集失败的仪表不影响其他指标', () => {
+  const registry = createMetricsRegistry();
+  registry.gauge('broken', '采集失败', () => {
+    throw new Error('boom');
+  });
+  registry.gauge('ok', '正常', () => 1);
+  assert.equal(registry.render(), '# HELP broken 采集失败\n# TYPE broken gauge\n# HELP ok 正常\n# TYPE ok gauge\nok 1\n');
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isMode, getMode, buildModePrompt, detectWriteAttempt } from '../lib/modes.js';
+
+test('未知模式回退到执行模式', () => {
+  assert.equal(getMode('ask').name, 'ask');
+  assert.equal(getMode('unknown').name, 'agent');
+  assert.equal(getMode(undefined).name, 'agent');
+});
+
+test('只识别已定义的模式', () => {
+  assert.equal(isMode('agent'), true);
+  assert.equal(isMode('ask'), true);
+  assert.equal(isMode('toString'), false);
+  assert.equal(isMode('__proto__'), false);
+  assert.equal(isMode(undefined), false);
+  assert.equal(getMode('toString').name, 'agent');
+});
+
+test('只读模式的提示词带前言', () => {
+  assert.equal(buildModePrompt('agent', '修复测试'), '修复测试');
+  assert.match(buildModePrompt('ask', '解释一下'), /^【只读问答模式】[\s\S]*\n\n解释一下$/);
+});
+
+test('检测写文件和执行命令', () => {
+  const call = tool_call => ({ type: 'tool_call', subtype: 'started', call_id: 'c1', tool_call });
+  assert.deepEqual(detectWriteAttempt(call({ editToolCall: { args: { path: 'a.js' } } })), { type: 'file', target: 'a.js' });
+  assert.deepEqual(detectWriteAttempt(call({ writeToolCall: { args: { path: 'b.js', fileText: '' } } })), { type: 'file', target: 'b.js' });
+  assert.deepEqual(detectWriteAttempt(call({ deleteToolCall: {} })), { type: 'file', target: 'deleteToolCall' });
+  assert.deepEqual(detectWriteAttempt(call({ shellToolCall: { args: { command: 'rm -rf build' } } })), { type: 'shell', target: 'rm -rf build' });
+  assert.equal(detectWriteAttempt(call({ readToolCall: { args: { path: 'a.js' } } })), null);
+  assert.equal(detectWriteAttempt({ type: 'assistant', message: { content: [] } }), null);
+});
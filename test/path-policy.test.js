@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPathPolicy, createPathPolicyFromEnv } from '../lib/path-policy.js';
+
+// 临时目录：workspace 为工作目录，outside 为工作目录之外
+function setup() {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'path-policy-')));
+  const workspace = path.join(dir, 'workspace');
+  const outside = path.join(dir, 'outside');
+  fs.mkdirSync(path.join(workspace, 'src'), { recursive: true });
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(workspace, 'src', 'app.js'), '');
+  fs.writeFileSync(path.join(workspace, '.env'), 'TOKEN=x');
+  fs.writeFileSync(path.join(workspace, '.env.example'), 'TOKEN=');
+  fs.writeFileSync(path.join(outside, 'notes.txt'), '');
+  return { dir, workspace, outside, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('允许工作目录中的文件', (t) => {
+  const { workspace, cleanup } = setup();
+  t.after(cleanup);
+  const result = createPathPolicy().check('src/app.js', { baseDir: workspace });
+  assert.deepEqual(result, { allowed: true, path: path.join(workspace, 'src', 'app.js') });
+});
+
+test('拒绝工作目录之外和不存在的文件', (t) => {
+  const { workspace, outside, cleanup } = setup();
+  t.after(cleanup);
+  const policy = createPathPolicy();
+  assert.equal(policy.check('../outside/notes.txt', { baseDir: workspace }).allowed, false);
+  assert.equal(policy.check(path.join(outside, 'notes.txt'), { baseDir: workspace }).allowed, false);
+  assert.match(policy.check('missing.txt', { baseDir: workspace }).reason, /文件不存在/);
+  assert.equal(policy.check('new/file.txt', { baseDir: workspace, mustExist: false }).allowed, true);
+});
+
+test('解析符号链接，拒绝指向工作目录之外的链接', { skip: process.platform === 'win32' }, (t) => {
+  const { workspace, outside, cleanup } = setup();
+  t.after(cleanup);
+  fs.symlinkSync(outside, path.join(workspace, 'link'));
+  const result = createPathPolicy().check('link/notes.txt', { baseDir: workspace });
+  assert.equal(result.allowed, false);
+  assert.match(result.reason, /符号链接/);
+});
+
+test('额外允许的目录', (t) => {
+  const { workspace, outside, cleanup } = setup();
+  t.after(cleanup);
+  const policy = createPathPolicyFromEnv({ PATH_ALLOWED_ROOTS: outside });
+  assert.equal(policy.check(path.join(outside, 'notes.txt'), { baseDir: workspace }).allowed, true);
+});
+
+test('拦截敏感文件，管理员可放行', (t) => {
+  const { workspace, cleanup } = setup();
+  t.after(cleanup);
+  const policy = createPathPolicy({ secretPatterns: ['*.secret'] });
+  assert.match(policy.check('.env', { baseDir: workspace }).reason, /密钥或凭据/);
+  assert.equal(policy.check('.env', { baseDir: workspace, allowSecrets: true }).allowed, true);
+  assert.equal(policy.check('.env.example', { baseDir: workspace }).allowed, true);
+  assert.equal(policy.check('.ssh/config', { baseDir: workspace, mustExist: false }).allowed, false);
+  assert.equal(policy.check('prod.secret', { baseDir: workspace, mustExist: false }).allowed, false);
+});
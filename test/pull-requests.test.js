@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { openPullRequest, createPullRequestProvider } from '../lib/pull-requests.js';
+import { snapshotWorkTree } from '../lib/git-snapshot.js';
+
+// 测试环境可能没有配置 git 用户
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com',
+});
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+
+// 本地仓库 repo（main 分支，已推送到裸仓库 remote）
+function setup() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pull-requests-'));
+  const repo = path.join(dir, 'repo');
+  const remote = path.join(dir, 'remote.git');
+  git(dir, 'init', '-q', '--bare', remote);
+  git(dir, 'init', '-q', '-b', 'main', repo);
+  fs.writeFileSync(path.join(repo, 'app.js'), 'console.log(1);\n');
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-q', '-m', 'init');
+  git(repo, 'remote', 'add', 'origin', remote);
+  git(repo, 'push', '-q', 'origin', 'main');
+  return { repo, remote, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+// 模拟代码托管平台：记录请求，按 respond 返回响应
+async function startApi(t, respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || 'null') });
+      const { status, data } = respond(req);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { requests, apiUrl: `http://127.0.0.1:${server.address().port}/` };
+}
+
+test('提交工作区变更、推送新分支并创建 PR', async (t) => {
+  const { repo, remote, cleanup } = setup();
+  t.after(cleanup);
+  const api = await startApi(t, () => ({ status: 201, data: { html_url: 'https://github.com/o/r/pull/7', number: 7 } }));
+  const provider = createPullRequestProvider({ provider: 'GitHub', apiUrl: api.apiUrl, token: 'tkn', repo: 'o/r' });
+
+  const head = git(repo, 'rev-parse', 'HEAD');
+  fs.writeFileSync(path.join(repo, 'app.js'), 'console.log(2);\n');
+  fs.writeFileSync(path.join(repo, 'new.js'), 'export {};\n');
+  const tree = await snapshotWorkTree(repo);
+
+  const result = await openPullRequest({ cwd: repo, title: '修复日志', body: '详细说明', branch: 'feishu/pr-1', base: 'main', provider });
+
+  assert.equal(git(remote, 'rev-parse', 'refs/heads/feishu/pr-1'), result.commit);
+  assert.equal(git(repo, 'rev-parse', `${result.commit}^`), head);
+  assert.equal(git(repo, 'rev-parse', `${result.commit}^{tree}`), tree);
+  assert.equal(git(repo, 'log', '-1', '--format=%B', result.commit), '修复日志\n\n详细说明');
+  assert.deepEqual(result.files.map(f => f.path).sort(), ['app.js', 'new.js']);
+  assert.equal(result.base, 'main');
+  assert.deepEqual(result.pullRequest, { url: 'https://github.com/o/r/pull/7', number: 7 });
+
+  // 本地分支、index 和工作区都不变
+  assert.equal(git(repo, 'rev-parse', 'HEAD'), head);
+  assert.equal(git(repo, 'branch', '--list', 'feishu/pr-1'), '');
+  assert.equal(git(repo, 'status', '--porcelain'), 'M app.js\n?? new.js');
+
+  assert.equal(api.requests.length, 1);
+  const [request] = api.requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/repos/o/r/pulls');
+  assert.equal(request.headers.authorization, 'Bearer tkn');
+  assert.deepEqual(request.body, { title: '修复日志', body: '详细说明', head: 'feishu/pr-1', base: 'main' });
+});
+
+test('未指定目标分支时使用当前分支，未配置平台时只推送', async (t) => {
+  const { repo, remote, cleanup } = setup();
+  t.after(cleanup);
+  fs.writeFileSync(path.join(repo, 'app.js'), 'console.log(3);\n');
+  const result = await openPullRequest({ cwd: repo, title: '只推送', branch: 'feishu/pr-2' });
+  assert.equal(result.base, 'main');
+  assert.equal(result.pullRequest, null);
+  assert.equal(git(remote, 'rev-parse', 'refs/heads/feishu/pr-2'), result.commit);
+});
+
+test('没有变更时返回 null，不推送', async (t) => {
+  const { repo, remote, cleanup } = setup();
+  t.after(cleanup);
+  assert.equal(await openPullRequest({ cwd: repo, title: '无变更', branch: 'feishu/pr-3', base: 'main' }), null);
+  assert.equal(git(remote, 'branch', '--list', 'feishu/pr-3'), '');
+});
+
+test('分离 HEAD 且未指定目标分支时报错', async (t) => {
+  const { repo, remote, cleanup } = setup();
+  t.after(cleanup);
+  git(repo, 'checkout', '-q', '--detach');
+  fs.writeFileSync(path.join(repo, 'app.js'), 'console.log(4);\n');
+  await assert.rejects(openPullRequest({ cwd: repo, title: '分离', branch: 'feishu/pr-4' }), /分离 HEAD/);
+  assert.equal(git(remote, 'branch', '--list', 'feishu/pr-4'), '');
+});
+
+test('平台返回非 2xx 时报错', async (t) => {
+  const { repo, cleanup } = setup();
+  t.after(cleanup);
+  const api = await startApi(t, () => ({ status: 422, data: { message: 'Validation Failed' } }));
+  const provider = createPullRequestProvider({ provider: 'gitea', apiUrl: api.apiUrl, token: 'tkn', repo: 'o/r' });
+  fs.writeFileSync(path.join(repo, 'app.js'), 'console.log(5);\n');
+  await assert.rejects(
+    openPullRequest({ cwd: repo, title: '失败', branch: 'feishu/pr-5', base: 'main', provider }),
+    /HTTP 422.*Validation Failed/,
+  );
+  assert.equal(api.requests[0].headers.authorization, 'token tkn');
+});
+
+test('GitLab 使用 merge_requests 接口', async (t) => {
+  const api = await startApi(t, () => ({ status: 201, data: { web_url: 'https://gitlab.com/g/p/-/merge_requests/3', iid: 3 } }));
+  const provider = createPullRequestProvider({ provider: 'gitlab', apiUrl: api.apiUrl, token: 'tkn', repo: 'g/p' });
+  const result = await provider.createPullRequest({ title: 't', body: 'b', head: 'h', base: 'main' });
+  assert.deepEqual(result, { url: 'https://gitlab.com/g/p/-/merge_requests/3', number: 3 });
+  assert.equal(api.requests[0].url, '/projects/g%2Fp/merge_requests');
+  assert.equal(api.requests[0].headers['private-token'], 'tkn');
+  assert.deepEqual(api.requests[0].body, { title: 't', description: 'b', source_branch: 'h', target_branch: 'main' });
+});
+
+test('平台配置错误', () => {
+  assert.equal(createPullRequestProvider({}), null);
+  assert.throws(() => createPullRequestProvider({ provider: 'bitbucket', token: 't', repo: 'r' }), /不支持的平台/);
+  assert.throws(() => createPullRequestProvider({ provider: 'github', repo: 'r' }), /PR_TOKEN/);
+  assert.throws(() => createPullRequestProvider({ provider: 'gitea', token: 't', repo: 'r' }), /PR_API_URL/);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCron, nextRunTime, createScheduler } from '../lib/scheduler.js';
+
+test('解析简写和字段', () => {
+  assert.equal(parseCron('@daily').expr, '0 0 * * *');
+  assert.equal(parseCron('  */15 9-17 * * 1-5 ').expr, '*/15 9-17 * * 1-5');
+
+  const cron = parseCron('*/15 9-17 * * 1-5');
+  assert.equal(cron.matches(new Date(2026, 9, 19, 9, 30)), true); // 周一
+  assert.equal(cron.matches(new Date(2026, 9, 19, 9, 31)), false);
+  assert.equal(cron.matches(new Date(2026, 9, 19, 18, 0)), false);
+  assert.equal(cron.matches(new Date(2026, 9, 18, 9, 30)), false); // 周日
+});
+
+test('周日可以写作 0 或 7', () => {
+  const sunday = new Date(2026, 9, 18, 8, 0);
+  assert.equal(parseCron('0 8 * * 0').matches(sunday), true);
+  assert.equal(parseCron('0 8 * * 7').matches(sunday), true);
+});
+
+test('日和周都指定时满足其一即可', () => {
+  const cron = parseCron('0 0 1 * 1');
+  assert.equal(cron.matches(new Date(2026, 9, 1, 0, 0)), true); // 1 日，周四
+  assert.equal(cron.matches(new Date(2026, 9, 19, 0, 0)), true); // 周一
+  assert.equal(cron.matches(new Date(2026, 9, 20, 0, 0)), false);
+});
+
+test('无效表达式报错', () => {
+  assert.throws(() => parseCron('* * * *'), /需要 5 段/);
+  assert.throws(() => parseCron('60 * * * *'), /分钟字段超出范围/);
+  assert.throws(() => parseCron('* * * * mon'), /星期字段无效/);
+  assert.throws(() => parseCron('5-1 * * * *'), /超出范围/);
+});
+
+test('计算下一次触发时间', () => {
+  const from = new Date(2026, 9, 19, 9, 30, 20);
+  assert.deepEqual(nextRunTime('0 * * * *', from), new Date(2026, 9, 19, 10, 0));
+  assert.deepEqual(nextRunTime('30 9 * * *', from), new Date(2026, 9, 20, 9, 30));
+  assert.equal(nextRunTime('0 0 30 2 *', from), null);
+});
+
+test('任务持久化，停用后保留', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'cron-jobs.json');
+
+  const scheduler = createScheduler({ file, onRun: () => {} });
+  const job = scheduler.add({ expr: '@hourly', prompt: '运行测试', chatId: 'oc_1' });
+  assert.equal(job.expr, '0 * * * *');
+  assert.throws(() => scheduler.add({ expr: 'bad', prompt: 'x' }));
+  assert.equal(scheduler.disable(job.id, '无权限'), true);
+  assert.equal(scheduler.disable('missing', '无权限'), false);
+
+  const reloaded = createScheduler({ file, onRun: () => {} });
+  assert.equal(reloaded.get(job.id).prompt, '运行测试');
+  assert.equal(reloaded.get(job.id).disabled.reason, '无权限');
+  assert.equal(reloaded.remove(job.id), true);
+  assert.deepEqual(createScheduler({ file, onRun: () => {} }).list(), []);
+});
+
+test('重新启用已停用的任务', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'cron-jobs.json');
+
+  const scheduler = createScheduler({ file, onRun: () => {} });
+  const job = scheduler.add({ expr: '@daily', prompt: '总结提交', chatId: 'oc_1' });
+  assert.equal(scheduler.enable(job.id), false);
+  assert.equal(scheduler.enable('missing'), false);
+  scheduler.disable(job.id, '无权限');
+  assert.equal(scheduler.enable(job.id), true);
+  assert.equal(scheduler.get(job.id).disabled, undefined);
+
+  const reloaded = createScheduler({ file, onRun: () => {} });
+  assert.equal(reloaded.get(job.id).disabled, undefined);
+});
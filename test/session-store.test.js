@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSessionStore } from '../lib/session-store.js';
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { file: path.join(dir, 'data', 'sessions.json') };
+}
+
+const readSessions = file => JSON.parse(fs.readFileSync(file, 'utf-8')).sessions;
+
+test('同一对话累加轮数并保留创建者，新对话重置元数据', (t) => {
+  const { file } = setup(t);
+  const store = createSessionStore({ file, ttl: 60000 });
+
+  const first = store.save('oc_1', 'conv-a', { creator: 'ou_alice', mode: 'agent' });
+  assert.equal(first.turns, 1);
+  assert.equal(first.creator, 'ou_alice');
+  assert.equal(first.mode, 'agent');
+
+  const second = store.save('oc_1', 'conv-a', { creator: 'ou_bob', mode: 'ask' });
+  assert.equal(second.turns, 2);
+  assert.equal(second.creator, 'ou_alice');
+  assert.equal(second.mode, 'ask');
+  assert.equal(second.createdAt, first.createdAt);
+
+  const fresh = store.save('oc_1', 'conv-b', { creator: 'ou_bob', mode: 'plan' });
+  assert.equal(fresh.turns, 1);
+  assert.equal(fresh.creator, 'ou_bob');
+  assert.equal(fresh.conversationId, 'conv-b');
+  assert.equal(store.size, 1);
+});
+
+test('重启后从文件恢复会话', (t) => {
+  const { file } = setup(t);
+  const store = createSessionStore({ file, ttl: 60000 });
+  store.save('oc_1', 'conv-a', { creator: 'ou_alice', mode: 'agent' });
+  store.save('oc_1', 'conv-a');
+  store.save('oc_2', 'conv-b', { creator: 'ou_bob' });
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+  const reloaded = createSessionStore({ file, ttl: 60000 });
+  assert.equal(reloaded.size, 2);
+  const session = reloaded.get('oc_1');
+  assert.equal(session.conversationId, 'conv-a');
+  assert.equal(session.turns, 2);
+  assert.equal(session.creator, 'ou_alice');
+  assert.equal(session.mode, 'agent');
+  assert.equal(reloaded.peek('oc_2').creator, 'ou_bob');
+});
+
+test('文件损坏时从空会话开始', (t) => {
+  const { file } = setup(t);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{ not json');
+  const store = createSessionStore({ file, ttl: 60000 });
+  assert.equal(store.size, 0);
+  store.save('oc_1', 'conv-a');
+  assert.equal(readSessions(file).oc_1.conversationId, 'conv-a');
+});
+
+test('读取会话只刷新内存中的活跃时间，不写盘', (t) => {
+  const { file } = setup(t);
+  const store = createSessionStore({ file, ttl: 60000 });
+  store.save('oc_1', 'conv-a');
+  const saved = fs.readFileSync(file, 'utf-8');
+  const savedTime = readSessions(file).oc_1.lastActiveTime;
+  fs.rmSync(file);
+
+  const session = store.get('oc_1');
+  assert.ok(session.lastActiveTime >= savedTime);
+  assert.equal(store.peek('oc_1'), session);
+  assert.equal(store.get('missing'), null);
+  assert.equal(fs.existsSync(file), false);
+
+  // 下一次保存时一并写入
+  fs.writeFileSync(file, saved);
+  store.save('oc_1', 'conv-a');
+  assert.equal(readSessions(file).oc_1.turns, 2);
+});
+
+test('过期会话在读取或清理时删除并写盘', (t) => {
+  const { file } = setup(t);
+  const store = createSessionStore({ file, ttl: 1000 });
+  const a = store.save('oc_1', 'conv-a');
+  const b = store.save('oc_2', 'conv-b');
+  store.save('oc_3', 'conv-c');
+  a.lastActiveTime -= 2000;
+  b.lastActiveTime -= 2000;
+
+  assert.equal(store.peek('oc_1'), null);
+  assert.equal(store.size, 3);
+  assert.equal(store.get('oc_1'), null);
+  assert.deepEqual(Object.keys(readSessions(file)).sort(), ['oc_2', 'oc_3']);
+
+  assert.deepEqual(store.prune(), ['oc_2']);
+  assert.deepEqual(store.prune(), []);
+  assert.deepEqual(Object.keys(readSessions(file)), ['oc_3']);
+
+  assert.equal(store.delete('oc_3'), true);
+  assert.equal(store.delete('oc_3'), false);
+  assert.deepEqual(readSessions(file), {});
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTaskHistory } from '../lib/task-history.js';
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'task-history.json');
+  return { dir, file, resultsDir: path.join(dir, 'task-results') };
+}
+
+const readIndex = file => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+test('记录、更新和查询任务', async (t) => {
+  const { file } = setup(t);
+  const history = createTaskHistory({ file });
+  history.start({ id: 'a1', prompt: '修复测试', mode: 'agent', threadKey: 'oc_1' });
+  history.start({ id: 'b2', prompt: '解释代码', mode: 'ask', threadKey: 'oc_2' });
+  history.start({ id: 'c3', prompt: '再修一次', mode: 'agent', threadKey: 'oc_1' });
+  history.update('a1', { status: 'succeeded', exitCode: 0 });
+  history.addFile('a1', 'report.md');
+  assert.equal(history.update('missing', { status: 'failed' }), null);
+
+  assert.equal(history.get('a1').status, 'succeeded');
+  assert.deepEqual(history.get('a1').files, ['report.md']);
+  assert.equal(history.get('b2').status, 'running');
+  assert.deepEqual(history.list().map(entry => entry.id), ['c3', 'b2', 'a1']);
+  assert.deepEqual(history.list(entry => entry.threadKey === 'oc_1', 1).map(entry => entry.id), ['c3']);
+  await history.flush();
+});
+
+test('延迟合并写盘，结果正文不放进索引', async (t) => {
+  const { file, resultsDir } = setup(t);
+  const history = createTaskHistory({ file });
+  history.start({ id: 'a1', prompt: '生成报告' });
+  history.update('a1', { status: 'succeeded', result: '# 报告\n\n内容' });
+  // 写盘在延迟之后进行，不阻塞调用方
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(await history.getResult('a1'), '# 报告\n\n内容');
+
+  await history.flush();
+  const index = readIndex(file);
+  assert.equal(index.version, 2);
+  assert.equal(index.tasks[0].hasResult, true);
+  assert.equal('result' in index.tasks[0], false);
+  assert.equal(fs.readFileSync(path.join(resultsDir, 'a1.md'), 'utf-8'), '# 报告\n\n内容');
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('重启后加载历史，未结束的任务标记为中断', async (t) => {
+  const { file } = setup(t);
+  const history = createTaskHistory({ file });
+  history.start({ id: 'a1', prompt: '完成的任务' });
+  history.update('a1', { status: 'succeeded', result: '结果' });
+  history.start({ id: 'b2', prompt: '执行中的任务' });
+  await history.flush();
+
+  const reloaded = createTaskHistory({ file });
+  assert.equal(reloaded.get('a1').status, 'succeeded');
+  assert.equal(reloaded.get('b2').status, 'interrupted');
+  assert.equal(await reloaded.getResult('a1'), '结果');
+  assert.equal(await reloaded.getResult('b2'), null);
+});
+
+test('超过上限时删除最早的记录及其结果文件', async (t) => {
+  const { file, resultsDir } = setup(t);
+  const history = createTaskHistory({ file, limit: 2 });
+  for (const id of ['a1', 'b2', 'c3']) {
+    history.start({ id, prompt: id });
+    history.update(id, { status: 'succeeded', result: `结果 ${id}` });
+  }
+  history.start({ id: 'd4', prompt: 'd4' });
+  await history.flush();
+
+  assert.equal(history.get('a1'), null);
+  assert.equal(history.get('b2'), null);
+  assert.deepEqual(readIndex(file).tasks.map(entry => entry.id), ['c3', 'd4']);
+  assert.deepEqual(fs.readdirSync(resultsDir), ['c3.md']);
+});
+
+test('兼容旧版本索引中的结果，更新时移出索引', async (t) => {
+  const { file, resultsDir } = setup(t);
+  fs.writeFileSync(file, JSON.stringify({ tasks: [{ id: 'old1', prompt: '旧任务', status: 'succeeded', result: '旧结果', files: [] }] }));
+  const history = createTaskHistory({ file });
+  assert.equal(await history.getResult('old1'), '旧结果');
+
+  history.update('old1', { result: '新结果' });
+  await history.flush();
+  assert.equal('result' in readIndex(file).tasks[0], false);
+  assert.equal(fs.readFileSync(path.join(resultsDir, 'old1.md'), 'utf-8'), '新结果');
+  assert.equal(await history.getResult('old1'), '新结果');
+});
+
+test('过长的结果截断保存，非法 ID 不写结果文件', async (t) => {
+  const { file, resultsDir } = setup(t);
+  const history = createTaskHistory({ file });
+  history.start({ id: 'long', prompt: '长结果' });
+  history.update('long', { result: 'x'.repeat(100001) });
+  history.start({ id: '../escape', prompt: '非法 ID' });
+  history.update('../escape', { result: '不应写入' });
+  await history.flush();
+
+  assert.match(await history.getResult('long'), /^x{100000}\n\n…（结果过长/);
+  assert.deepEqual(fs.readdirSync(resultsDir), ['long.md']);
+  assert.equal(fs.existsSync(path.join(path.dirname(file), 'escape.md')), false);
+  assert.equal(await history.getResult('../escape'), null);
+});
+
+test('索引文件损坏时从空历史开始', (t) => {
+  const { file } = setup(t);
+  fs.writeFileSync(file, '{ 损坏');
+  assert.deepEqual(createTaskHistory({ file }).list(), []);
+});
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStepTracker } from '../lib/tool-steps.js';
+
+const started = (call_id, tool_call) => ({ type: 'tool_call', subtype: 'started', call_id, tool_call });
+const completed = (call_id, tool_call) => ({ type: 'tool_call', subtype: 'completed', call_id, tool_call });
+
+test('按 call_id 配对并记录结果', () => {
+  const tracker = createStepTracker();
+  tracker.handle(started('c1', { editToolCall: { args: { path: 'a.js' } } }));
+  tracker.handle(started('c2', { shellToolCall: { args: { command: 'npm test' } } }));
+  tracker.handle(completed('c2', { shellToolCall: { args: { command: 'npm test' }, result: { success: { exitCode: 1 } } } }));
+  tracker.handle(completed('c1', { editToolCall: { args: { path: 'a.js' }, result: { success: { linesAdded: 3, linesRemoved: 1 } } } }));
+
+  assert.equal(tracker.count, 2);
+  assert.deepEqual(tracker.steps.map(s => [s.key, s.status]), [['editToolCall', 'done'], ['shellToolCall', 'failed']]);
+  assert.equal(tracker.steps[0].added, 3);
+  assert.equal(tracker.summary(), '2 步 · 修改 1（+3 −1） · 命令 1');
+});
+
+test('没有 call_id 时 completed 对应最近一个未结束的同类步骤', () => {
+  const tracker = createStepTracker();
+  tracker.handle(started(undefined, { readToolCall: { args: { path: 'a.js' } } }));
+  tracker.handle(started(undefined, { readToolCall: { args: { path: 'b.js' } } }));
+  tracker.handle(completed(undefined, { readToolCall: { args: { path: 'b.js' }, result: { success: {} } } }));
+  tracker.handle(completed(undefined, { readToolCall: { args: { path: 'a.js' }, result: { success: {} } } }));
+
+  assert.equal(tracker.count, 2);
+  assert.ok(tracker.steps.every(s => s.status === 'done'));
+});
+
+test('忽略非工具事件', () => {
+  const tracker = createStepTracker();
+  assert.equal(tracker.handle({ type: 'assistant', message: { content: [{ text: 'hi' }] } }), false);
+  assert.equal(tracker.count, 0);
+});
@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { createWorktreeManager } from '../lib/worktrees.js';
+
+// 测试环境可能没有配置 git 用户
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com',
+});
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+
+// 仓库 repo（main 分支，一次提交）和 worktree 管理器
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worktrees-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const repo = path.join(dir, 'repo');
+  git(dir, 'init', '-q', '-b', 'main', repo);
+  fs.writeFileSync(path.join(repo, 'app.js'), 'a\n');
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-q', '-m', 'init');
+  const options = { rootDir: path.join(dir, 'worktrees'), stateFile: path.join(dir, 'worktrees.json') };
+  return { dir, repo, options, manager: createWorktreeManager(options) };
+}
+
+const branches = repo => git(repo, 'branch', '--format=%(refname:short)').split('\n').sort();
+
+test('首次使用时创建 worktree，之后复用并在重启后恢复', async (t) => {
+  const { repo, options, manager } = setup(t);
+  const worktree = await manager.ensure('oc_1:main', repo);
+
+  assert.equal(worktree.repoDir, repo);
+  assert.equal(worktree.baseBranch, 'main');
+  assert.equal(worktree.baseCommit, git(repo, 'rev-parse', 'HEAD'));
+  assert.match(worktree.branch, /^feishu\/[0-9a-f]{10}$/);
+  assert.ok(worktree.path.startsWith(options.rootDir));
+  assert.equal(fs.readFileSync(path.join(worktree.path, 'app.js'), 'utf-8'), 'a\n');
+  assert.equal(git(worktree.path, 'rev-parse', '--abbrev-ref', 'HEAD'), worktree.branch);
+  assert.equal(git(repo, 'status', '--porcelain'), '');
+
+  assert.equal(await manager.ensure('oc_1:main', repo), worktree);
+  const other = await manager.ensure('oc_2:main', repo);
+  assert.notEqual(other.path, worktree.path);
+  assert.equal(manager.list().length, 2);
+
+  const reloaded = createWorktreeManager(options);
+  assert.deepEqual(reloaded.get('oc_1:main'), worktree);
+  assert.equal(reloaded.get('missing'), null);
+});
+
+test('非 git 目录无法创建 worktree', async (t) => {
+  const { dir, manager } = setup(t);
+  const plain = path.join(dir, 'plain');
+  fs.mkdirSync(plain);
+  await assert.rejects(manager.ensure('oc_1:plain', plain), /不是 git 仓库/);
+  assert.equal(manager.get('oc_1:plain'), null);
+});
+
+test('目录被手动删除后重新创建，并复用已有分支', async (t) => {
+  const { repo, manager } = setup(t);
+  const worktree = await manager.ensure('oc_1:main', repo);
+  fs.writeFileSync(path.join(worktree.path, 'app.js'), 'b\n');
+  await manager.commitPending(worktree, '改动');
+  fs.rmSync(worktree.path, { recursive: true, force: true });
+  assert.equal(manager.get('oc_1:main'), null);
+  assert.deepEqual(manager.list(), []);
+
+  const recreated = await manager.ensure('oc_1:main', repo);
+  assert.equal(recreated.branch, worktree.branch);
+  assert.equal(fs.readFileSync(path.join(recreated.path, 'app.js'), 'utf-8'), 'b\n');
+});
+
+test('状态包含领先提交数和未提交的变更', async (t) => {
+  const { repo, manager } = setup(t);
+  assert.equal(await manager.status('oc_1:main'), null);
+  const worktree = await manager.ensure('oc_1:main', repo);
+
+  fs.writeFileSync(path.join(worktree.path, 'app.js'), 'b\n');
+  assert.equal(await manager.commitPending(worktree, '第一次'), true);
+  assert.equal(await manager.commitPending(worktree, '没有变更'), false);
+  fs.writeFileSync(path.join(worktree.path, 'new.txt'), 'x\n');
+
+  const status = await manager.status('oc_1:main');
+  assert.equal(status.ahead, 1);
+  assert.deepEqual(status.changes, ['?? new.txt']);
+});
+
+test('合并到基准分支后删除 worktree 和分支', async (t) => {
+  const { repo, manager } = setup(t);
+  const worktree = await manager.ensure('oc_1:main', repo);
+  fs.writeFileSync(path.join(worktree.path, 'app.js'), 'b\n');
+  await manager.commitPending(worktree, '第一次');
+  fs.writeFileSync(path.join(worktree.path, 'new.txt'), 'x\n');
+
+  const result = await manager.merge('oc_1:main', '合并说明');
+  assert.deepEqual(result, { merged: true, commits: 2, baseBranch: 'main' });
+  assert.equal(fs.readFileSync(path.join(repo, 'app.js'), 'utf-8'), 'b\n');
+  assert.equal(fs.readFileSync(path.join(repo, 'new.txt'), 'utf-8'), 'x\n');
+  assert.match(git(repo, 'log', '-1', '--format=%B'), new RegExp(`^Merge branch '${worktree.branch}'\\n\\n合并说明`));
+  assert.equal(git(repo, 'rev-list', '--parents', '-1', 'HEAD').split(' ').length, 3);
+  assert.equal(fs.existsSync(worktree.path), false);
+  assert.deepEqual(branches(repo), ['main']);
+  assert.equal(manager.get('oc_1:main'), null);
+});
+
+test('没有变更时合并只删除 worktree', async (t) => {
+  const { repo, manager } = setup(t);
+  const head = git(repo, 'rev-parse', 'HEAD');
+  await manager.ensure('oc_1:main', repo);
+  assert.deepEqual(await manager.merge('oc_1:main', '无变更'), { merged: false, commits: 0 });
+  assert.equal(git(repo, 'rev-parse', 'HEAD'), head);
+  assert.deepEqual(branches(repo), ['main']);
+  await assert.rejects(manager.merge('oc_1:main', '再合并'), /当前话题没有 worktree/);
+});
+
+test('仓库切到其他分支时拒绝合并并保留 worktree', async (t) => {
+  const { repo, manager } = setup(t);
+  const worktree = await manager.ensure('oc_1:main', repo);
+  fs.writeFileSync(path.join(worktree.path, 'app.js'), 'b\n');
+  git(repo, 'checkout', '-q', '-b', 'feature');
+
+  await assert.rejects(manager.merge('oc_1:main', '合并'), /仓库当前分支是 feature，不是创建 worktree 时的 main/);
+  assert.equal(fs.readFileSync(path.join(repo, 'app.js'), 'utf-8'), 'a\n');
+  assert.ok(manager.get('oc_1:main'));
+  // 未提交的变更已提交到 worktree 分支，切回后可以继续合并
+  assert.equal((await manager.status('oc_1:main')).ahead, 1);
+
+  git(repo, 'checkout', '-q', 'main');
+  assert.equal((await manager.merge('oc_1:main', '合并')).merged, true);
+  assert.equal(fs.readFileSync(path.join(repo, 'app.js'), 'utf-8'), 'b\n');
+});
+
+test('合并冲突时中止合并，仓库保持原状', async (t) => {
+  const { repo, manager } = setup(t);
+  const worktree = await manager.ensure('oc_1:main', repo);
+  fs.writeFileSync(path.join(worktree.path, 'app.js'), 'from worktree\n');
+  fs.writeFileSync(path.join(repo, 'app.js'), 'from main\n');
+  git(repo, 'commit', '-q', '-am', 'main 上的修改');
+  const head = git(repo, 'rev-parse', 'HEAD');
+
+  await assert.rejects(manager.merge('oc_1:main', '合并'), /合并失败，已中止/);
+  assert.equal(git(repo, 'rev-parse', 'HEAD'), head);
+  assert.equal(git(repo, 'status', '--porcelain'), '');
+  assert.equal(fs.existsSync(path.join(repo, '.git', 'MERGE_HEAD')), false);
+  assert.equal(fs.readFileSync(path.join(repo, 'app.js'), 'utf-8'), 'from main\n');
+  assert.ok(manager.get('oc_1:main'));
+  assert.equal(fs.readFileSync(path.join(worktree.path, 'app.js'), 'utf-8'), 'from worktree\n');
+});
+
+test('丢弃 worktree 删除目录、分支和记录', async (t) => {
+  const { repo, options, manager } = setup(t);
+  const worktree = await manager.ensure('oc_1:main', repo);
+  fs.writeFileSync(path.join(worktree.path, 'dirty.txt'), 'x\n');
+
+  assert.equal(await manager.discard('oc_1:main'), true);
+  assert.equal(await manager.discard('oc_1:main'), false);
+  assert.equal(fs.existsSync(worktree.path), false);
+  assert.deepEqual(branches(repo), ['main']);
+  assert.equal(git(repo, 'worktree', 'list').split('\n').length, 1);
+  assert.deepEqual(JSON.parse(fs.readFileSync(options.stateFile, 'utf-8')), {});
+
+  // 目录已被手动删除时也能清理
+  const again = await manager.ensure('oc_1:main', repo);
+  fs.rmSync(again.path, { recursive: true, force: true });
+  assert.equal(await manager.discard('oc_1:main'), true);
+  assert.deepEqual(branches(repo), ['main']);
+});